@@ -31,7 +31,7 @@ module.exports = {
   },
 
   messaging: {
-    provider: process.env.MSG_PROVIDER || 'manual', // manual | twilio | 360dialog | sms
+    provider: process.env.MSG_PROVIDER || 'manual', // manual | twilio | cloudapi | d360 (see services/providers)
     apiKey: process.env.MSG_API_KEY || '',
     senderId: process.env.MSG_SENDER_ID || ''
   },
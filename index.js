@@ -17,7 +17,8 @@ app.set('trust proxy', 1);
 app.use(helmet());
 // app.use(morgan('combined')); // ❌ removed morgan
 app.use(cors({ origin: true, credentials: true }));
-app.use(express.json({ limit: '2mb' }));
+// rawBody: provider webhooks verify signatures over the exact bytes (routes/webhooks.js)
+app.use(express.json({ limit: '2mb', verify: (req, _res, buf) => { req.rawBody = buf; } }));
 app.use(express.urlencoded({ extended: true }));
 
 /* ----------------------------- static: /uploads ----------------------------- */
@@ -52,6 +53,8 @@ app.use('/organizations', require('./routes/organizations')); // create/list/me/
 //app.use('/orgs', require('./routes/orgs'));
 
 app.use('/bookings', require('./routes/bookings'));
+app.use('/public', require('./routes/public'));     // self-service by org slug (no auth)
+app.use('/otp', require('./routes/otp'));           // customer phone verification
 app.use('/status', require('./routes/status'));
 app.use('/reviews', require('./routes/reviews'));
 app.use('/payments', require('./routes/payments'));
@@ -84,9 +87,13 @@ app.use((err, _req, res, _next) => {
 
 /* --------------------------------- start ----------------------------------- */
 const PORT = process.env.PORT || 5008;
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`EasyQue backend running on :${PORT}`);
+  require('./services/liveBus').start(); // LIVE_BUS=mysql begins tailing the outbox here
+  require('./services/notificationDispatcher').start(); // provider sends, retries, dead letter
+  require('./services/dailySummary').start(); // end-of-day email to org admins
 });
+require('./services/liveSocket').attach(server); // WebSocket twin of /live at /live/ws
 
 module.exports = app;
 
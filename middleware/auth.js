@@ -9,12 +9,17 @@ if (!JWT_SECRET && process.env.NODE_ENV === 'production') {
   throw new Error('JWT_SECRET is required in production');
 }
 
+/** Verify a staff access token; throws on bad signature/expiry */
+function verifyAccessToken(token) {
+  return jwt.verify(token, JWT_SECRET || 'dev-only');
+}
+
 function requireAuth(req, res, next) {
   try {
     const h = req.headers.authorization || '';
     const token = h.startsWith('Bearer ') ? h.slice(7) : null;
     if (!token) return res.status(401).json({ ok: false, error: 'unauthorized' });
-    const payload = jwt.verify(token, JWT_SECRET || 'dev-only');
+    const payload = verifyAccessToken(token);
     req.user = payload;
     next();
   } catch (err) {
@@ -40,5 +45,5 @@ function requireSuperAdminEmail(req, res, next) {
   next();
 }
 
-module.exports = { requireAuth, requireRole, requireSuperAdminEmail };
+module.exports = { requireAuth, requireRole, requireSuperAdminEmail, verifyAccessToken };
 
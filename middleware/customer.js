@@ -0,0 +1,43 @@
+// middleware/customer.js
+// Verified-customer guard: token from POST /otp/verify in X-Customer-Token (or ?customer_token=)
+// Status-link guard: signed status token (the link's ?s=) in X-Status-Token, body.s or ?s=
+
+const { verifyCustomerToken } = require('../services/otp');
+const { verifyStatusToken } = require('../services/statusToken');
+
+function readCustomerToken(req) {
+  return req.headers['x-customer-token'] || req.query?.customer_token || null;
+}
+
+/** Sets req.customer = { org_id, phone } or responds 401 */
+function requireCustomer(req, res, next) {
+  const token = readCustomerToken(req);
+  if (!token) return res.status(401).json({ ok: false, error: 'customer_verification_required' });
+  try {
+    req.customer = verifyCustomerToken(token);
+    next();
+  } catch {
+    return res.status(401).json({ ok: false, error: 'invalid_customer_token' });
+  }
+}
+
+/** Like requireCustomer but never rejects; req.customer is null when absent/invalid */
+function optionalCustomer(req, _res, next) {
+  const token = readCustomerToken(req);
+  req.customer = null;
+  if (token) {
+    try { req.customer = verifyCustomerToken(token); } catch {}
+  }
+  next();
+}
+
+/** Sets req.statusLink = { booking_id, org_id } for a valid, unexpired status link or responds 401 */
+function requireStatusLink(req, res, next) {
+  const token = req.headers['x-status-token'] || req.body?.s || req.query?.s || null;
+  const link = token && verifyStatusToken(token);
+  if (!link) return res.status(401).json({ ok: false, error: 'invalid_or_expired_link' });
+  req.statusLink = link;
+  next();
+}
+
+module.exports = { requireCustomer, optionalCustomer, requireStatusLink };
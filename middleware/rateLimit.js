@@ -0,0 +1,32 @@
+// middleware/rateLimit.js
+// Fixed-window in-memory rate limiter. Per process: behind several instances each one counts separately.
+
+function rateLimit({ windowMs = 60000, max = 10, key = (req) => req.ip, error = 'rate_limited' } = {}) {
+  const hits = new Map(); // key -> { count, resetAt }
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [k, v] of hits) if (v.resetAt <= now) hits.delete(k);
+  }, windowMs);
+  if (sweep.unref) sweep.unref();
+
+  return (req, res, next) => {
+    const k = key(req);
+    if (k == null || k === '') return next();
+
+    const now = Date.now();
+    let h = hits.get(k);
+    if (!h || h.resetAt <= now) {
+      h = { count: 0, resetAt: now + windowMs };
+      hits.set(k, h);
+    }
+    h.count += 1;
+    if (h.count > max) {
+      res.setHeader('Retry-After', Math.ceil((h.resetAt - now) / 1000));
+      return res.status(429).json({ ok: false, error });
+    }
+    next();
+  };
+}
+
+module.exports = { rateLimit };
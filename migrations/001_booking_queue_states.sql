@@ -0,0 +1,10 @@
+-- 001_booking_queue_states.sql
+-- Queue control: pending -> called -> serving -> served | skipped | no_show
+-- bookings.served_at already exists (used by services/metrics.js).
+
+ALTER TABLE bookings
+  ADD COLUMN called_at DATETIME NULL AFTER scheduled_at;
+
+-- An ENUM bookings.status is widened to the queue states by 020_booking_status_varchar.sql.
+
+CREATE INDEX idx_bookings_queue ON bookings (org_id, booking_date, assigned_user_id, status, token_number);
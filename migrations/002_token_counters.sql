@@ -0,0 +1,18 @@
+-- 002_token_counters.sql
+-- Race-free token allocation: one counter row per org / day / assignee (0 = unassigned queue).
+
+CREATE TABLE IF NOT EXISTS token_counters (
+  org_id        INT NOT NULL,
+  booking_date  DATE NOT NULL,
+  assignee_key  INT NOT NULL DEFAULT 0,
+  last_token    INT NOT NULL DEFAULT 0,
+  reset_by      INT NULL,
+  reset_at      DATETIME NULL,
+  updated_at    DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (org_id, booking_date, assignee_key)
+);
+
+-- NULL assigned_user_id would slip past a plain unique key, so key on a generated column.
+ALTER TABLE bookings
+  ADD COLUMN assignee_key INT AS (COALESCE(assigned_user_id, 0)) STORED,
+  ADD UNIQUE KEY uq_bookings_token (org_id, booking_date, assignee_key, token_number);
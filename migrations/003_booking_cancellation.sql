@@ -0,0 +1,14 @@
+-- 003_booking_cancellation.sql
+-- Who cancelled a booking, when, and why.
+
+ALTER TABLE bookings
+  ADD COLUMN cancelled_at DATETIME NULL,
+  ADD COLUMN cancelled_by VARCHAR(16) NULL,          -- 'staff' | 'customer'
+  ADD COLUMN cancelled_by_user_id INT NULL,          -- staff user id when cancelled_by = 'staff'
+  ADD COLUMN cancel_reason VARCHAR(255) NULL;
+
+-- Lets notifications point back at the booking they are about.
+ALTER TABLE notifications
+  ADD COLUMN booking_id INT NULL AFTER org_id,
+  ADD COLUMN event VARCHAR(32) NULL AFTER booking_id,
+  ADD INDEX idx_notifications_booking (booking_id, event);
@@ -0,0 +1,20 @@
+-- 004_slot_templates.sql
+-- Appointment slots for advance bookings. A booking's slot is its scheduled_at.
+-- assigned_user_id NULL = org-wide default; weekday NULL = every day (0 = Sunday).
+
+CREATE TABLE IF NOT EXISTS slot_templates (
+  id                INT AUTO_INCREMENT PRIMARY KEY,
+  org_id            INT NOT NULL,
+  assigned_user_id  INT NULL,
+  weekday           TINYINT NULL,
+  start_time        TIME NOT NULL,
+  end_time          TIME NOT NULL,
+  slot_minutes      INT NOT NULL DEFAULT 15,
+  capacity          INT NOT NULL DEFAULT 1,
+  is_active         TINYINT(1) NOT NULL DEFAULT 1,
+  created_at        DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at        DATETIME NULL ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_slot_templates_org (org_id, assigned_user_id, weekday)
+);
+
+CREATE INDEX idx_bookings_slot ON bookings (org_id, booking_date, scheduled_at);
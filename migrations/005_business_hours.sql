@@ -0,0 +1,24 @@
+-- 005_business_hours.sql
+-- Weekly opening hours (several rows per weekday for split shifts) and dated closures.
+-- An org with no org_hours rows is treated as always open.
+
+CREATE TABLE IF NOT EXISTS org_hours (
+  id          INT AUTO_INCREMENT PRIMARY KEY,
+  org_id      INT NOT NULL,
+  weekday     TINYINT NOT NULL,            -- 0 = Sunday
+  open_time   TIME NOT NULL,
+  close_time  TIME NOT NULL,
+  INDEX idx_org_hours_org (org_id, weekday)
+);
+
+CREATE TABLE IF NOT EXISTS org_closures (
+  id          INT AUTO_INCREMENT PRIMARY KEY,
+  org_id      INT NOT NULL,
+  kind        VARCHAR(16) NOT NULL DEFAULT 'closure',   -- 'holiday' | 'closure'
+  starts_at   DATETIME NOT NULL,
+  ends_at     DATETIME NOT NULL,
+  reason      VARCHAR(255) NULL,
+  created_by  INT NULL,
+  created_at  DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_org_closures_org (org_id, starts_at, ends_at)
+);
@@ -0,0 +1,15 @@
+-- 006_customer_otps.sql
+-- One-time codes proving a customer controls a phone number (codes are stored as HMACs).
+
+CREATE TABLE IF NOT EXISTS customer_otps (
+  id            INT AUTO_INCREMENT PRIMARY KEY,
+  org_id        INT NOT NULL,
+  phone         VARCHAR(20) NOT NULL,          -- digits only
+  code_hash     CHAR(64) NOT NULL,
+  expires_at    DATETIME NOT NULL,
+  attempts      INT NOT NULL DEFAULT 0,
+  consumed_at   DATETIME NULL,
+  request_ip    VARCHAR(64) NULL,
+  created_at    DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_customer_otps_phone (org_id, phone, created_at)
+);
@@ -0,0 +1,10 @@
+-- 007_wait_estimates.sql
+-- Inputs for queue position / ETA on /status/view.
+
+-- Typical duration of a service item; bookings listing items use these instead of the average.
+ALTER TABLE org_items
+  ADD COLUMN service_seconds INT NULL;
+
+-- Counters working the shared (unassigned) queue in parallel.
+ALTER TABLE organizations
+  ADD COLUMN counters INT NOT NULL DEFAULT 1;
@@ -0,0 +1,14 @@
+-- 008_live_events.sql
+-- Outbox for LIVE_BUS=mysql: every instance appends its live events here and tails the table.
+-- Rows older than LIVE_OUTBOX_RETENTION_MS are deleted by the instances themselves.
+
+CREATE TABLE IF NOT EXISTS live_events (
+  id                BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+  type              VARCHAR(40) NOT NULL,
+  org_id            INT NOT NULL,
+  assigned_user_id  INT NULL,
+  payload           JSON NOT NULL,
+  created_at        DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  PRIMARY KEY (id),
+  KEY idx_live_events_created (created_at)
+);
@@ -0,0 +1,16 @@
+-- 009_display_devices.sql
+-- Waiting-room screens reading /status/board/:slug. Keys are shown once and stored as SHA-256.
+
+CREATE TABLE IF NOT EXISTS display_devices (
+  id            INT AUTO_INCREMENT PRIMARY KEY,
+  org_id        INT NOT NULL,
+  name          VARCHAR(100) NOT NULL,
+  key_hash      CHAR(64) NOT NULL,
+  key_prefix    VARCHAR(12) NOT NULL,          -- first characters, to tell keys apart in the admin list
+  created_by    INT NULL,
+  created_at    DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_seen_at  DATETIME NULL,
+  revoked_at    DATETIME NULL,
+  UNIQUE KEY uq_display_devices_key (key_hash),
+  INDEX idx_display_devices_org (org_id)
+);
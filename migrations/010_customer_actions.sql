@@ -0,0 +1,20 @@
+-- 010_customer_actions.sql
+-- Customer self-service from the status link: running late, on my way, cancel.
+
+-- Call order override; NULL means token order (see bookingStatus.rankSql).
+ALTER TABLE bookings
+  ADD COLUMN queue_rank DECIMAL(14,6) NULL,
+  ADD COLUMN on_the_way_at DATETIME NULL,
+  ADD COLUMN arrival_eta_at DATETIME NULL;
+
+CREATE TABLE IF NOT EXISTS booking_events (
+  id             BIGINT AUTO_INCREMENT PRIMARY KEY,
+  booking_id     INT NOT NULL,
+  org_id         INT NOT NULL,
+  action         VARCHAR(40) NOT NULL,          -- cancelled | running_late | on_the_way
+  actor          VARCHAR(20) NOT NULL,          -- customer | staff | system
+  actor_user_id  INT NULL,
+  details        JSON NULL,
+  created_at     DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_booking_events_booking (booking_id, action)
+);
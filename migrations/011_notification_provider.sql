@@ -0,0 +1,6 @@
+-- 011_notification_provider.sql
+-- Which provider adapter handled a notification and why it failed.
+
+ALTER TABLE notifications
+  ADD COLUMN provider VARCHAR(20) NULL,
+  ADD COLUMN last_error VARCHAR(500) NULL;
@@ -0,0 +1,20 @@
+-- 012_message_templates.sql
+-- Per-org customer message templates (services/templates.js); built-in defaults apply when absent.
+
+CREATE TABLE IF NOT EXISTS message_templates (
+  id                INT AUTO_INCREMENT PRIMARY KEY,
+  org_id            INT NOT NULL,
+  event             VARCHAR(40) NOT NULL,          -- booking_created | turn_near | called | cancelled | review_request
+  language          VARCHAR(12) NOT NULL,          -- e.g. en, hi, ta
+  body              TEXT NOT NULL,
+  wa_template_name  VARCHAR(512) NULL,             -- approved WhatsApp template, for providers that require one
+  wa_language       VARCHAR(12) NULL,
+  wa_params         JSON NULL,                     -- variable names for {{1}}, {{2}}, ...
+  updated_by        INT NULL,
+  updated_at        DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_message_templates (org_id, event, language)
+);
+
+-- Customer's preferred message language; NULL means DEFAULT_LANGUAGE.
+ALTER TABLE bookings
+  ADD COLUMN language VARCHAR(12) NULL;
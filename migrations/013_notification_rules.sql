@@ -0,0 +1,11 @@
+-- 013_notification_rules.sql
+-- Automatic lifecycle notifications (services/notificationRules.js).
+
+-- '<booking_id>:<event>'; one message per booking and event.
+ALTER TABLE notifications
+  ADD COLUMN dedupe_key VARCHAR(64) NULL,
+  ADD UNIQUE KEY uq_notifications_dedupe (dedupe_key);
+
+-- Send turn_near when at most this many are waiting ahead; NULL = TURN_NEAR_AHEAD, 0 = off.
+ALTER TABLE organizations
+  ADD COLUMN turn_near_ahead TINYINT UNSIGNED NULL;
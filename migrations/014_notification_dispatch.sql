@@ -0,0 +1,11 @@
+-- 014_notification_dispatch.sql
+-- Background provider dispatch (services/notificationDispatcher.js).
+-- status: pending -> sending (claimed) -> sent | pending (retry later) | failed (dead letter)
+
+ALTER TABLE notifications
+  ADD COLUMN dispatch         VARCHAR(10) NOT NULL DEFAULT 'manual',  -- manual (staff links) | provider (worker)
+  ADD COLUMN attempts         INT NOT NULL DEFAULT 0,
+  ADD COLUMN next_attempt_at  DATETIME NULL,
+  ADD COLUMN locked_until     DATETIME NULL,                          -- claim lease while 'sending'
+  ADD COLUMN failed_at        DATETIME NULL,
+  ADD INDEX idx_notifications_dispatch (status, dispatch, next_attempt_at);
@@ -0,0 +1,26 @@
+-- 015_message_webhooks.sql
+-- Provider delivery receipts and customer replies (routes/webhooks.js).
+
+-- delivery_status follows the provider: sent -> delivered -> read, or failed.
+ALTER TABLE notifications
+  ADD COLUMN delivery_status  VARCHAR(12) NULL,
+  ADD COLUMN delivered_at     DATETIME NULL,
+  ADD COLUMN read_at          DATETIME NULL,
+  ADD INDEX idx_notifications_provider_msg (provider_msg_id);
+
+-- Customer replies; org/booking come from the last message we sent to that phone.
+CREATE TABLE IF NOT EXISTS inbound_messages (
+  id               BIGINT AUTO_INCREMENT PRIMARY KEY,
+  org_id           INT NULL,
+  booking_id       INT NULL,
+  provider         VARCHAR(20) NOT NULL,
+  channel          VARCHAR(10) NOT NULL,          -- whatsapp | sms
+  from_phone       VARCHAR(20) NOT NULL,          -- E.164 digits
+  to_phone         VARCHAR(20) NULL,
+  contact_name     VARCHAR(120) NULL,
+  body             TEXT NOT NULL,
+  provider_msg_id  VARCHAR(100) NULL,
+  received_at      DATETIME NOT NULL,
+  UNIQUE KEY uq_inbound_messages_provider (provider, provider_msg_id),
+  INDEX idx_inbound_messages_org_phone (org_id, from_phone)
+);
@@ -0,0 +1,16 @@
+-- 016_inbound_commands.sql
+-- Keyword commands in customer replies (services/inboundCommands.js).
+
+-- Extra words per org for a command, e.g. ('cancel', 'रद्द'); built-in English keywords always work.
+CREATE TABLE IF NOT EXISTS org_command_aliases (
+  id          INT AUTO_INCREMENT PRIMARY KEY,
+  org_id      INT NOT NULL,
+  command     VARCHAR(20) NOT NULL,             -- status | cancel | late | join | help
+  alias       VARCHAR(60) NOT NULL,             -- stored lower-case
+  created_at  DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_org_command_aliases (org_id, alias)
+);
+
+-- Which command a reply was read as (NULL: free text for staff).
+ALTER TABLE inbound_messages
+  ADD COLUMN command VARCHAR(20) NULL;
@@ -0,0 +1,28 @@
+-- 017_message_consent.sql
+-- Messaging consent, quiet hours and recipient caps (services/messagePolicy.js).
+
+-- One row per org and phone: how they opted in, and when/how they opted out.
+CREATE TABLE IF NOT EXISTS message_consents (
+  id              BIGINT AUTO_INCREMENT PRIMARY KEY,
+  org_id          INT NOT NULL,
+  phone           VARCHAR(20) NOT NULL,          -- E.164 digits (util/phone.toE164Digits)
+  status          VARCHAR(12) NOT NULL,          -- opted_in | opted_out
+  source          VARCHAR(30) NOT NULL,          -- opt-in source: booking | public_booking | inbound | staff
+  opted_in_at     DATETIME NULL,
+  opted_out_at    DATETIME NULL,
+  opt_out_source  VARCHAR(30) NULL,              -- inbound (STOP) | public_booking | staff
+  updated_at      DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_message_consents (org_id, phone)
+);
+
+-- Non-urgent messages wait until quiet_hours_end; server-local, may span midnight (21:00-09:00).
+ALTER TABLE organizations
+  ADD COLUMN quiet_hours_start TIME NULL,
+  ADD COLUMN quiet_hours_end   TIME NULL;
+
+-- Replies now also read 'stop' and 'start' (inbound_messages.command, org_command_aliases.command).
+
+-- Normalised destination, for consent lookups and per-recipient caps.
+ALTER TABLE notifications
+  ADD COLUMN recipient VARCHAR(20) NULL,
+  ADD INDEX idx_notifications_recipient (recipient, sent_at);
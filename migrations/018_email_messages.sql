@@ -0,0 +1,19 @@
+-- 018_email_messages.sql
+-- Transactional email over SMTP (services/email.js): one row per message, bodies are not kept
+-- (password-reset and invite links are credentials).
+CREATE TABLE IF NOT EXISTS email_messages (
+  id          BIGINT AUTO_INCREMENT PRIMARY KEY,
+  org_id      INT NULL,
+  user_id     INT NULL,
+  kind        VARCHAR(30) NOT NULL,             -- password_reset | staff_invite | payment_receipt | daily_summary
+  to_email    VARCHAR(190) NOT NULL,
+  subject     VARCHAR(255) NOT NULL,
+  status      VARCHAR(12) NOT NULL,             -- sending | sent | failed
+  message_id  VARCHAR(255) NULL,                -- SMTP Message-ID
+  error       VARCHAR(255) NULL,
+  dedupe_key  VARCHAR(190) NULL,                -- e.g. daily_summary:12:2026-10-19:owner@example.com
+  created_at  DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  sent_at     DATETIME NULL,
+  UNIQUE KEY uq_email_messages_dedupe (dedupe_key),
+  INDEX idx_email_messages_org (org_id, created_at)
+);
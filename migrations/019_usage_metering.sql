@@ -0,0 +1,34 @@
+-- 019_usage_metering.sql
+-- Per-message metering and the daily per-org rollup billing reads (services/usage.js).
+-- The old message_usage table (mixed per-message / per-day columns) is no longer written; it stays
+-- in place for its history.
+
+-- One row per message that actually went out; `ref` makes recording idempotent.
+CREATE TABLE IF NOT EXISTS message_meter (
+  id               BIGINT AUTO_INCREMENT PRIMARY KEY,
+  org_id           INT NOT NULL,
+  booking_id       INT NULL,
+  ref              VARCHAR(120) NOT NULL,          -- notification:<id> | <provider>:<provider_msg_id>
+  channel          VARCHAR(12) NOT NULL,           -- whatsapp | sms
+  provider         VARCHAR(20) NULL,
+  event            VARCHAR(30) NULL,
+  segments         SMALLINT NOT NULL DEFAULT 1,    -- SMS parts; 1 for WhatsApp
+  unit_cost        DECIMAL(10,4) NOT NULL DEFAULT 0, -- per segment, priced when sent
+  cost             DECIMAL(12,4) NOT NULL DEFAULT 0,
+  sent_at          DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uq_message_meter_ref (ref),
+  INDEX idx_message_meter_org (org_id, sent_at)
+);
+
+-- Per org and day; messages/segments/cost add up as messages are metered, bookings_count is
+-- recounted by the rollup.
+CREATE TABLE IF NOT EXISTS message_usage_daily (
+  org_id           INT NOT NULL,
+  date_for         DATE NOT NULL,
+  bookings_count   INT NOT NULL DEFAULT 0,
+  messages_sent    INT NOT NULL DEFAULT 0,
+  segments         INT NOT NULL DEFAULT 0,
+  cost             DECIMAL(12,4) NOT NULL DEFAULT 0,
+  updated_at       DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (org_id, date_for)
+);
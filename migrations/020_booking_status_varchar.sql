@@ -0,0 +1,16 @@
+-- 020_booking_status_varchar.sql
+-- Queue states (called, serving, skipped, no_show; see 001_booking_queue_states.sql) are rejected
+-- by an ENUM bookings.status. Turn an ENUM column into VARCHAR(20), keeping every value;
+-- a column that is already a string type is left as it is.
+
+SET @status_is_enum := (
+  SELECT COUNT(*) FROM information_schema.columns
+   WHERE table_schema = DATABASE() AND table_name = 'bookings'
+     AND column_name = 'status' AND data_type = 'enum'
+);
+SET @widen_status := IF(@status_is_enum > 0,
+  'ALTER TABLE bookings MODIFY status VARCHAR(20) NOT NULL DEFAULT ''pending''',
+  'DO 0');
+PREPARE widen_status FROM @widen_status;
+EXECUTE widen_status;
+DEALLOCATE PREPARE widen_status;
@@ -0,0 +1,136 @@
+// public/status.js — customer status page: renders GET /status/view and follows the queue live
+// The page is opened from the signed link (?s=<status token>); every live event for the queue
+// (/live?status_token=, SSE) triggers a refetch, with a slow poll as fallback.
+
+(function () {
+  const params = new URLSearchParams(location.search);
+  const s = params.get('s');
+  const POLL_MS = 60 * 1000;
+
+  const $ = (id) => document.getElementById(id);
+  const text = (id, v) => { $(id).textContent = v == null || v === '' ? '—' : String(v); };
+  const CLOSED_LABEL = { served: 'Served', no_show: 'Missed', cancelled: 'Cancelled', skipped: 'Skipped' };
+
+  function fmtTime(v) {
+    if (!v) return null;
+    const d = new Date(v);
+    return isNaN(d) ? null : d.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+  }
+
+  function fmtDateTime(b) {
+    const at = b.scheduled_at || b.booking_date;
+    if (!at) return null;
+    const d = new Date(at);
+    if (isNaN(d)) return String(at);
+    return b.scheduled_at
+      ? d.toLocaleString([], { day: 'numeric', month: 'short', hour: 'numeric', minute: '2-digit' })
+      : d.toLocaleDateString([], { day: 'numeric', month: 'short', year: 'numeric' });
+  }
+
+  function fmtMinutes(sec) {
+    const n = Number(sec);
+    return n > 0 ? `${Math.max(1, Math.round(n / 60))} min` : null;
+  }
+
+  function renderOrg(org, metrics, closed) {
+    text('orgName', org.name);
+    document.title = `${org.name} — Live Queue Status`;
+    if (org.map_url) { $('mapBtn').href = org.map_url; $('mapBtn').hidden = false; }
+
+    const breakUntil = metrics && metrics.break_until && new Date(metrics.break_until) > new Date()
+      ? metrics.break_until : null;
+    if (closed) {
+      $('breakText').textContent = closed.until ? `Closed till ${fmtTime(closed.until)}` : 'Closed now';
+      $('breakRibbon').hidden = false;
+    } else if (breakUntil) {
+      $('breakText').textContent = `On break till ${fmtTime(breakUntil)}`;
+      $('breakRibbon').hidden = false;
+    } else {
+      $('breakRibbon').hidden = true;
+    }
+
+    text('nowToken', metrics && metrics.now_serving);
+    text('serviceStart', fmtTime(org.service_start_at));
+    text('avgService', fmtMinutes(metrics && metrics.avg_service_seconds));
+
+    reviewUrl = org.google_review_url || null;
+  }
+
+  function renderBooking(b, metrics, wait) {
+    if (!b) return;
+    text('yourToken', b.token_number);
+    text('custName', b.user_name);
+    text('assignedUser', b.assigned_user_name || null);
+    text('bookingId', b.id);
+    text('department', b.department);
+    text('custPhone', b.user_phone);
+    text('bookingDate', fmtDateTime(b));
+
+    // progress: share of the line already served before this token
+    const now = Number(metrics && metrics.now_serving) || 0;
+    const mine = Number(b.token_number) || 0;
+    let pct = 0;
+    let label = wait ? String(wait.people_ahead) : '0';
+    if (wait && wait.position === 0) { pct = 100; label = 'Now'; }
+    else if (CLOSED_LABEL[b.status]) { pct = 100; label = CLOSED_LABEL[b.status]; }
+    else if (mine && wait) pct = Math.round(100 * Math.min(1, now / mine));
+    $('progressFill').style.width = `${pct}%`;
+    $('progressDot').textContent = label;
+
+    if (!wait && CLOSED_LABEL[b.status]) $('etaRange').textContent = CLOSED_LABEL[b.status];
+    else window.renderEta(wait);
+  }
+
+  let loading = false;
+  let statusToken = null;
+  let reviewUrl = null;
+
+  async function load() {
+    if (loading) return;
+    loading = true;
+    try {
+      const r = await fetch(`/status/view?s=${encodeURIComponent(s)}`);
+      const j = await r.json();
+      if (!j.ok) throw new Error(j.error || 'failed');
+      renderOrg(j.org, j.metrics, j.closed);
+      renderBooking(j.booking, j.metrics, j.wait);
+      if (j.status_token && !statusToken) follow(j.status_token);
+    } catch (e) {
+      $('etaRange').textContent = e.message === 'invalid_or_expired_link' ? 'Link expired' : '—';
+    } finally {
+      loading = false;
+    }
+  }
+
+  function follow(token) {
+    statusToken = token;
+    if (!window.EventSource) return;
+    const es = new EventSource(`/live?status_token=${encodeURIComponent(token)}`);
+    // every queue event is followed by a bare `live`; a snapshot comes after a lagging stream catches up
+    es.addEventListener('live', () => load());
+    es.addEventListener('snapshot', () => load());
+  }
+
+  // reviews go to the org's Google page
+  let rating = 0;
+  document.querySelectorAll('#stars .star').forEach((img) => {
+    img.onclick = () => {
+      rating = Number(img.dataset.v);
+      document.querySelectorAll('#stars .star').forEach((x) => { x.style.opacity = Number(x.dataset.v) <= rating ? 1 : 0.35; });
+    };
+  });
+  $('submitBtn').onclick = () => {
+    if (!reviewUrl) { $('reviewMsg').textContent = 'Reviews are not set up for this place yet.'; return; }
+    window.open(reviewUrl, '_blank', 'noopener');
+    $('reviewMsg').textContent = 'Thank you! Please finish your review on the page that opened.';
+  };
+
+  if (!s) {
+    $('etaRange').textContent = '—';
+    $('reviewMsg').textContent = 'Open this page from the link in your booking message.';
+    return;
+  }
+  // renderEta is defined by the inline script that follows this one
+  document.addEventListener('DOMContentLoaded', load);
+  setInterval(load, POLL_MS);
+})();
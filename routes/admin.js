@@ -49,7 +49,7 @@ router.delete('/orgs/:id', async (req, res) => {
     // (left out - admins can run backups manually before deletion)
 
     // delete bookings, notifications, billing_events, subscriptions, users for org
-    const tables = ['bookings', 'notifications', 'billing_events', 'org_subscriptions', 'message_usage', 'users'];
+    const tables = ['bookings', 'notifications', 'billing_events', 'org_subscriptions', 'message_usage', 'message_meter', 'message_usage_daily', 'users'];
     for (const t of tables) {
       try {
         await db.query(`DELETE FROM ${t} WHERE org_id = ?`, [id]);
@@ -4,6 +4,7 @@ const dayjs = require('dayjs');
 const db = require('../services/db');
 const { requireAuth } = require('../middleware/auth');
 const { requireAnyRole } = require('../middleware/roles');
+const { publish } = require('../services/liveBus');
 
 const router = express.Router();
 
@@ -31,6 +32,7 @@ router.post('/assigned-metrics/:assigned_user_id/break',
         'UPDATE assigned_live_metrics SET break_until=? WHERE org_id=? AND assigned_user_id=? AND booking_date=?',
         [d.format('YYYY-MM-DD HH:mm:ss'), org_id, assigned_user_id, date]
       );
+      publish('break_started', { org_id, assigned_user_id, break_until: d.toISOString() });
       res.json({ ok:true, break_until: d.toISOString() });
     }catch(e){ next(e); }
   });
@@ -47,6 +49,7 @@ router.post('/assigned-metrics/:assigned_user_id/resume',
         'UPDATE assigned_live_metrics SET break_until=NULL WHERE org_id=? AND assigned_user_id=? AND booking_date=?',
         [org_id, assigned_user_id, date]
       );
+      publish('break_ended', { org_id, assigned_user_id });
       res.json({ ok:true, break_until: null });
     }catch(e){ next(e); }
   });
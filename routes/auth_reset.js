@@ -5,6 +5,7 @@ const express = require('express');
 const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const db = require("../services/db");
+const { sendEmail, passwordLink } = require('../services/email');
 const router = express.Router();
 
 /** helper: normalize DB result to rows */
@@ -21,14 +22,15 @@ function bad(res, status, details, code = 'bad_request') {
 /**
  * POST /auth/request-reset
  * Body: { email }
- * Creates a token valid for 15 minutes and stores it on the user row.
+ * Creates a token valid for 15 minutes, stores it on the user row and emails the reset link
+ * (services/email). The token is only returned in non-production when the email did not go out.
  */
 router.post('/request-reset', async (req, res) => {
   try {
     const email = String(req.body.email || '').trim().toLowerCase();
     if (!email) return bad(res, 400, 'email is required');
     // Look up user
-    const rows = await q('SELECT id, email FROM users WHERE email = ? LIMIT 1', [email]);
+    const rows = await q('SELECT id, email, name FROM users WHERE email = ? LIMIT 1', [email]);
     if (!rows || rows.length === 0) {
       // For privacy, respond 200 even if user does not exist
       return res.json({ ok: true, requested: true });
@@ -44,9 +46,19 @@ router.post('/request-reset', async (req, res) => {
       [token, expiryMins, user.id]
     );
 
-    // TODO: send email in production (SMTP/SendGrid/etc.)
-    // For now we return token ONLY in non-production to assist testing.
-    const includeToken = (process.env.NODE_ENV !== 'production');
+    let emailed = false;
+    try {
+      emailed = !!(await sendEmail({
+        to: user.email,
+        kind: 'password_reset',
+        user_id: user.id,
+        vars: { name: user.name || user.email, reset_link: passwordLink(token), expires_minutes: expiryMins }
+      }));
+    } catch (mailErr) {
+      // same answer either way, so the response does not tell whether the address has an account
+      console.warn('POST /auth/request-reset email failed:', mailErr.code || mailErr.message);
+    }
+    const includeToken = (process.env.NODE_ENV !== 'production') && !emailed;
     return res.json({
       ok: true,
       requested: true,
@@ -1,9 +1,16 @@
 // routes/billing.js
-// Minimal endpoints to list billing orders/events/records (admin-only surfaced later if needed).
+// Minimal endpoints to list billing orders/events/records (admin-only surfaced later if needed),
+// and metered message usage per org (services/usage).
 
 const express = require('express');
+const dayjs = require('dayjs');
 const router = express.Router();
 const db = require('../services/db');
+const { getUsage } = require('../services/usage');
+const { requireAuth } = require('../middleware/auth');
+const { requireAnyRole, ensureOrgAccessParam } = require('../middleware/roles');
+
+const MAX_USAGE_DAYS = 366;
 
 router.get('/orders', async (_req, res, next) => {
   try {
@@ -26,5 +33,31 @@ router.get('/records', async (_req, res, next) => {
   } catch (e) { next(e); }
 });
 
+/**
+ * GET /billing/usage?org_id=&from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Messages actually sent (count, SMS segments, cost) per day and per channel, with bookings per day.
+ * Defaults: from the 1st of this month to today; at most 366 days.
+ */
+router.get(
+  '/usage',
+  requireAuth,
+  requireAnyRole('admin', 'organization_admin'),
+  ensureOrgAccessParam('org_id'),
+  async (req, res, next) => {
+    try {
+      const org_id = Number(req.query.org_id);
+      const day = (s) => (dayjs(String(s)).format('YYYY-MM-DD') === String(s) ? dayjs(String(s)) : null);
+      const from = req.query.from ? day(req.query.from) : dayjs().startOf('month');
+      const to = req.query.to ? day(req.query.to) : dayjs();
+      if (!from || !to) return res.status(400).json({ ok: false, error: 'invalid_date' });
+      if (to.isBefore(from) || to.diff(from, 'day') >= MAX_USAGE_DAYS) {
+        return res.status(400).json({ ok: false, error: 'invalid_range', max_days: MAX_USAGE_DAYS });
+      }
+      const usage = await getUsage({ org_id, from: from.format('YYYY-MM-DD'), to: to.format('YYYY-MM-DD') });
+      res.json({ ok: true, org_id, ...usage });
+    } catch (e) { next(e); }
+  }
+);
+
 module.exports = router;
 
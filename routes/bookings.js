@@ -7,11 +7,10 @@ const router = express.Router();
 const db = require('../services/db');
 const { requireAuth } = require('../middleware/auth');
 const { enforceOrgLimits } = require('../middleware/limits');
-
-const LIVE_BASE_URL =
-  process.env.LIVE_BASE_URL && process.env.LIVE_BASE_URL.startsWith('http')
-    ? process.env.LIVE_BASE_URL
-    : 'https://status.easyque.org/status.html';
+const { requireAnyRole, ensureOrgAccessParam, canAccessOrg } = require('../middleware/roles');
+const queue = require('../services/queue');
+const { createBooking } = require('../services/bookings');
+const { listBookingEvents } = require('../services/bookingEvents');
 
 const num = (x, d = 0) => {
   const n = Number(x);
@@ -27,63 +26,51 @@ async function getTableColumns(table) {
   return new Set(rows.map(r => r.column_name));
 }
 
-/* ---------- Create booking ---------- */
-router.post('/', requireAuth, enforceOrgLimits || ((req,res,next)=>next()), async (req,res,next)=>{
+const isDate = (s) => /^\d{4}-\d{2}-\d{2}$/.test(String(s || '')) && dayjs(s).isValid();
+const dateStr = (d) => (d instanceof Date ? d.toISOString().slice(0, 10) : String(d).slice(0, 10));
+
+/** Opaque cursor over the (booking_date, token_number, id) sort key */
+function encodeCursor(row) {
+  const key = { d: dateStr(row.booking_date), t: num(row.token_number), i: num(row.id) };
+  return Buffer.from(JSON.stringify(key)).toString('base64url');
+}
+function decodeCursor(s) {
   try {
-    const b = req.body || {};
-    const org_id = num(b.org_id);
-    const user_name = (b.user_name || '').trim();
-    const user_phone = (b.user_phone || '').trim();
-    const assigned_user_id = b.assigned_user_id ? num(b.assigned_user_id) : null;
-    if (!org_id || !user_name || !user_phone) {
-      return res.status(400).json({ ok:false, error:'org_id, user_name, user_phone required' });
-    }
+    const key = JSON.parse(Buffer.from(String(s), 'base64url').toString('utf8'));
+    if (!isDate(key.d) || !Number.isFinite(key.t) || !Number.isFinite(key.i)) return null;
+    return key;
+  } catch { return null; }
+}
 
-    const now = dayjs();
-    const booking_date = now.format('YYYY-MM-DD');
-    const scheduled_at = b.scheduled_at && dayjs(b.scheduled_at).isValid()
-      ? dayjs(b.scheduled_at).format('YYYY-MM-DD HH:mm:ss')
-      : null;
-
-    // next token
-    const scopeClause = assigned_user_id ? 'AND assigned_user_id = ?' : 'AND assigned_user_id IS NULL';
-    const params = assigned_user_id ? [org_id, booking_date, assigned_user_id] : [org_id, booking_date];
-    const [maxRow] = await db.query(
-      `SELECT COALESCE(MAX(token_number),0) AS max_token
-         FROM bookings
-        WHERE org_id = ? AND booking_date = ? ${scopeClause}`,
-      params
-    );
-    const token_number = (maxRow[0]?.max_token || 0) + 1;
-
-    const insertCols = [
-      'org_id','user_name','user_phone',
-      'assigned_user_id','booking_date','scheduled_at',
-      'status','token_number','created_at'
-    ];
-    const insertVals = [
-      org_id, user_name, user_phone,
-      assigned_user_id, booking_date, scheduled_at,
-      'pending', token_number, now.format('YYYY-MM-DD HH:mm:ss')
-    ];
+const requireStaff = requireAnyRole('admin','organization_admin','receptionist','assigned_user');
 
-    const cols = await getTableColumns('bookings');
-    if (cols.has('items') && b.items) { insertCols.push('items'); insertVals.push(JSON.stringify(b.items)); }
-    if (cols.has('department') && b.department) { insertCols.push('department'); insertVals.push(String(b.department)); }
-    if (cols.has('division') && b.division) { insertCols.push('division'); insertVals.push(String(b.division)); }
-    if (cols.has('status_link')) {
-      const status_link = `${LIVE_BASE_URL}?org_id=${org_id}&token=${token_number}&phone=${encodeURIComponent(user_phone)}`;
-      insertCols.push('status_link'); insertVals.push(status_link);
+/** Load :id into req.booking and check the caller may act on its org */
+async function loadBookingForStaff(req, res, next) {
+  try {
+    const id = num(req.params.id);
+    if (!id) return res.status(400).json({ ok:false, error:'id required' });
+    const [rows] = await db.query(`SELECT * FROM bookings WHERE id=? LIMIT 1`, [id]);
+    if (!rows.length) return res.status(404).json({ ok:false, error:'booking_not_found' });
+    if (!(await canAccessOrg(req.user, rows[0].org_id))) {
+      return res.status(403).json({ ok:false, error:'forbidden_org_scope' });
     }
+    req.booking = rows[0];
+    next();
+  } catch (err) { next(err); }
+}
 
-    const placeholders = insertCols.map(()=>'?').join(',');
-    const [r] = await db.query(
-      `INSERT INTO bookings (${insertCols.join(',')}) VALUES (${placeholders})`,
-      insertVals
-    );
+/** Service errors carry statusCode (400/404/409) and optional details; anything else goes to the error handler */
+function sendServiceError(res, next, err) {
+  if (!err.statusCode) return next(err);
+  return res.status(err.statusCode).json({ ok:false, error: err.message, ...(err.details || {}) });
+}
 
-    res.json({ ok:true, id:r.insertId, token_number });
-  }catch(err){ next(err); }
+/* ---------- Create booking ---------- */
+router.post('/', requireAuth, enforceOrgLimits || ((req,res,next)=>next()), async (req,res,next)=>{
+  try {
+    const out = await createBooking(req.body || {});
+    res.json({ ok:true, id: out.id, token_number: out.token_number, status_link: out.status_link });
+  }catch(err){ sendServiceError(res, next, err); }
 });
 
 /* ---------- Update booking ---------- */
@@ -114,9 +101,139 @@ router.patch('/:id', requireAuth, async (req,res,next)=>{
   }catch(err){ next(err); }
 });
 
-/* ---------- Cancel + Get bookings unchanged ---------- */
-router.post('/:id/cancel', requireAuth, async (req,res,next)=>{ /* keep */ });
-router.get('/', requireAuth, async (req,res,next)=>{ /* keep */ });
+/* ---------- Queue control ----------
+ * POST /bookings/queue/next { org_id, assigned_user_id?, complete_current? }
+ *   marks the current called/serving token served (unless complete_current=false)
+ *   and calls the lowest waiting token in the same queue.
+ */
+router.post('/queue/next', requireAuth, requireStaff, ensureOrgAccessParam('org_id'), async (req,res,next)=>{
+  try {
+    const b = req.body || {};
+    const out = await queue.callNext({
+      org_id: num(b.org_id),
+      assigned_user_id: b.assigned_user_id ? num(b.assigned_user_id) : null,
+      complete_current: b.complete_current !== false && b.complete_current !== 'false'
+    });
+    res.json({ ok:true, booking: out.booking, completed: out.completed });
+  }catch(err){ sendServiceError(res, next, err); }
+});
+
+/**
+ * POST /bookings/:id/{call|recall|serve|complete|skip|no-show}
+ * Moves one booking along the queue state machine (see services/queue.js).
+ */
+for (const [path, action] of [
+  ['call','call'], ['recall','recall'], ['serve','serve'],
+  ['complete','complete'], ['skip','skip'], ['no-show','no_show']
+]) {
+  router.post(`/:id/${path}`, requireAuth, requireStaff, loadBookingForStaff, async (req,res,next)=>{
+    try {
+      const booking = await queue.transition(req.booking.id, action);
+      res.json({ ok:true, id: booking.id, status: booking.status, token_number: booking.token_number });
+    }catch(err){ sendServiceError(res, next, err); }
+  });
+}
+
+/* ---------- Cancel booking ----------
+ * POST /bookings/:id/cancel { reason?, cancelled_by? = 'staff' | 'customer' }
+ * cancelled_by='customer' records a cancellation the customer asked staff to make.
+ */
+router.post('/:id/cancel', requireAuth, requireStaff, loadBookingForStaff, async (req,res,next)=>{
+  try {
+    const b = req.body || {};
+    const cancelled_by = b.cancelled_by === 'customer' ? 'customer' : 'staff';
+    const booking = await queue.cancel(req.booking.id, {
+      reason: b.reason ? String(b.reason).trim() : null,
+      cancelled_by,
+      actor_user_id: req.user?.id || null
+    });
+    res.json({ ok:true, id: booking.id, status: booking.status, cancelled_by });
+  }catch(err){ sendServiceError(res, next, err); }
+});
+
+/* ---------- Audit trail ----------
+ * GET /bookings/:id/events — cancellations and customer self-service actions, oldest first
+ */
+router.get('/:id/events', requireAuth, requireStaff, loadBookingForStaff, async (req,res,next)=>{
+  try {
+    const events = await listBookingEvents(db, req.booking.id);
+    res.json({ ok:true, events });
+  }catch(err){ next(err); }
+});
+
+/* ---------- List bookings ----------
+ * GET /bookings?org_id=..
+ *   &date=YYYY-MM-DD | &from=YYYY-MM-DD&to=YYYY-MM-DD   (default: today)
+ *   &status=pending,serving  &assigned_user_id=..  &department=..  &division=..
+ *   &phone=..  (partial match)  &id=..
+ *   &limit=50 (max 200)  &cursor=<next_cursor from previous page>
+ * Ordered by booking_date, token_number, id.
+ */
+router.get('/', requireAuth, ensureOrgAccessParam('org_id'), async (req,res,next)=>{
+  try {
+    const q = req.query || {};
+    const org_id = num(q.org_id);
+    const limit = Math.min(200, Math.max(1, Math.trunc(num(q.limit, 50))));
+
+    const where = ['org_id = ?'];
+    const params = [org_id];
+
+    if (q.id) {
+      where.push('id = ?'); params.push(num(q.id));
+    } else {
+      const from = q.date || q.from || dayjs().format('YYYY-MM-DD');
+      const to = q.date || q.to || from;
+      if (!isDate(from) || !isDate(to)) {
+        return res.status(400).json({ ok:false, error:'date, from and to must be YYYY-MM-DD' });
+      }
+      where.push('booking_date BETWEEN ? AND ?'); params.push(from, to);
+    }
+
+    if (q.status) {
+      const statuses = String(q.status).split(',').map(s => s.trim()).filter(Boolean);
+      if (statuses.length) {
+        where.push(`status IN (${statuses.map(()=>'?').join(',')})`);
+        params.push(...statuses);
+      }
+    }
+    if (q.assigned_user_id === 'none') {
+      where.push('assigned_user_id IS NULL');
+    } else if (q.assigned_user_id) {
+      where.push('assigned_user_id = ?'); params.push(num(q.assigned_user_id));
+    }
+
+    const cols = await getTableColumns('bookings');
+    if (q.department && cols.has('department')) { where.push('department = ?'); params.push(String(q.department)); }
+    if (q.division && cols.has('division')) { where.push('division = ?'); params.push(String(q.division)); }
+    if (q.phone) {
+      const digits = String(q.phone).replace(/\D/g, '');
+      if (digits) { where.push('user_phone LIKE ?'); params.push(`%${digits}%`); }
+    }
+
+    if (q.cursor) {
+      const c = decodeCursor(q.cursor);
+      if (!c) return res.status(400).json({ ok:false, error:'invalid cursor' });
+      where.push(`(booking_date > ?
+                   OR (booking_date = ? AND token_number > ?)
+                   OR (booking_date = ? AND token_number = ? AND id > ?))`);
+      params.push(c.d, c.d, c.t, c.d, c.t, c.i);
+    }
+
+    const [rows] = await db.query(
+      `SELECT * FROM bookings
+        WHERE ${where.join(' AND ')}
+        ORDER BY booking_date ASC, token_number ASC, id ASC
+        LIMIT ?`,
+      [...params, limit + 1]
+    );
+
+    const hasMore = rows.length > limit;
+    const page = hasMore ? rows.slice(0, limit) : rows;
+    const next_cursor = hasMore ? encodeCursor(page[page.length - 1]) : null;
+
+    res.json({ ok:true, rows: page, bookings: page, next_cursor });
+  }catch(err){ next(err); }
+});
 
 module.exports = router;
 module.exports.default = router;
@@ -1,13 +1,22 @@
+// routes/live.js — Server-Sent Events endpoint (WebSocket twin: /live/ws, services/liveSocket.js)
+// Credentials and scope: see services/liveAccess.js
+
 const express = require('express');
-const router = express.Router();
 const { onClientSubscribe } = require('../services/liveBus');
+const { resolveScope, overLimit } = require('../services/liveAccess');
 
-// Server-Sent Events endpoint
-router.get('/', (req, res) => {
-  // Clients pass ?org_id=...&assigned_user_id=... (optional)
-  onClientSubscribe(req, res);
-});
+const router = express.Router();
 
-module.exports = router;
+router.get('/', async (req, res, next) => {
+  try {
+    const r = await resolveScope(req);
+    if (r.error) return res.status(r.status).json({ ok: false, error: r.error });
 
+    if (overLimit(r.limits)) {
+      return res.status(429).json({ ok: false, error: 'too_many_live_connections' });
+    }
+    onClientSubscribe(req, res, r.scope);
+  } catch (err) { next(err); }
+});
 
+module.exports = router;
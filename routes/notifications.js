@@ -1,10 +1,19 @@
 // routes/notifications.js
-// Full notifications routes: list pending, manual-send links, provider send placeholder.
+// Full notifications routes: list pending, manual-send links, provider send, failed + requeue,
+// delivery report and conversation log (receipts/replies arrive via routes/webhooks.js), email log.
 // Uses the same send-link logic as bookings.
 
 const express = require('express');
+const dayjs = require('dayjs');
 const db = require("../services/db");
 const config = require('../config');
+const { sendViaProvider, requeueNotification, SECRET_EVENTS, bodySql } = require('../services/notifications');
+const { listConversation } = require('../services/conversations');
+const { checkSend } = require('../services/messagePolicy');
+const { listEmails } = require('../services/email');
+const { providerName } = require('../services/providers');
+const { requireAuth } = require('../middleware/auth');
+const { requireAnyRole, ensureOrgAccessParam, canAccessOrg } = require('../middleware/roles');
 
 const router = express.Router();
 
@@ -35,13 +44,36 @@ function buildSendLinks(phone, text) {
   return { whatsapp_web, whatsapp_app, sms_link };
 }
 
+const requireStaff = requireAnyRole('admin', 'organization_admin', 'receptionist', 'assigned_user');
+
+/** Load notification :id into req.notification; 404, or 403 outside the user's orgs */
+async function loadNotification(req, res, next) {
+  try {
+    const [[n]] = await db.query('SELECT * FROM notifications WHERE id = ?', [req.params.id]);
+    if (!n) return res.status(404).json({ ok:false, error:'not_found' });
+    if (!(await canAccessOrg(req.user, n.org_id))) {
+      return res.status(403).json({ ok:false, error:'forbidden_org_scope' });
+    }
+    req.notification = n;
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
 /**
- * GET /notifications/pending
- * Returns pending notifications (ordered by created_at)
+ * GET /notifications/pending?org_id=
+ * Returns the org's pending notifications waiting for a manual send (ordered by created_at);
+ * provider rows (and every verification code) are sent by services/notificationDispatcher.
  */
-router.get('/pending', async (req, res) => {
+router.get('/pending', requireAuth, requireStaff, ensureOrgAccessParam('org_id'), async (req, res) => {
   try {
-    const rows = await db.query('SELECT * FROM notifications WHERE status = "pending" ORDER BY created_at ASC LIMIT 200');
+    const [rows] = await db.query(
+      `SELECT * FROM notifications
+        WHERE org_id = ? AND status = "pending" AND dispatch = "manual" AND (event IS NULL OR event NOT IN (?))
+        ORDER BY created_at ASC LIMIT 200`,
+      [Number(req.query.org_id), SECRET_EVENTS]
+    );
     return res.json({ ok:true, notifications: rows });
   } catch (err) {
     console.error('GET /notifications/pending error', err);
@@ -53,12 +85,21 @@ router.get('/pending', async (req, res) => {
  * POST /notifications/:id/manual-send
  * Returns whatsapp / sms links that receptionist can open to manually send messages.
  * Does NOT change notification status (so admin can track sending separately).
+ * 409 recipient_opted_out, or quiet_hours / recipient_rate_limited with `until`; 403 provider_only for codes.
  */
-router.post('/:id/manual-send', async (req, res) => {
+router.post('/:id/manual-send', requireAuth, requireStaff, loadNotification, async (req, res) => {
   try {
     const id = req.params.id;
-    const n = (await db.query('SELECT * FROM notifications WHERE id = ?', [id]))[0];
-    if (!n) return res.status(404).json({ ok:false, error:'not_found' });
+    const n = req.notification;
+    // verification codes go through the provider only; staff never see them
+    if (SECRET_EVENTS.includes(n.event)) return res.status(403).json({ ok:false, error:'provider_only' });
+
+    // consent / quiet hours / caps apply to staff sends too (services/messagePolicy)
+    const policy = await checkSend({ org_id: n.org_id, phone: n.to_phone, event: n.event });
+    if (!policy.allow) {
+      const error = policy.reason === 'opted_out' ? 'recipient_opted_out' : policy.reason;
+      return res.status(409).json({ ok:false, error, until: policy.until || null });
+    }
 
     const text = n.body || '';
     const links = buildSendLinks(n.to_phone || '', text);
@@ -72,43 +113,170 @@ router.post('/:id/manual-send', async (req, res) => {
 
 /**
  * POST /notifications/:id/send-via-provider
- * Attempt to send via configured provider (twilio / 360dialog / whatsapp cloud api).
- * This is a provider-integration placeholder. When provider configured, implement actual HTTP call here.
+ * Send now through the configured provider (twilio / cloudapi / d360, see services/providers).
  * Body: { provider } optional override
+ * Provider failures: { ok:false, error:<code>, provider, transient, retry_at } with 503 (transient) or 502;
+ * a transient failure is retried later by the dispatcher (retry_at).
  */
-router.post('/:id/send-via-provider', async (req, res) => {
+router.post('/:id/send-via-provider', requireAuth, requireStaff, loadNotification, async (req, res) => {
   try {
     const id = req.params.id;
-    const provider = req.body && req.body.provider ? req.body.provider : (config.messaging && config.messaging.provider) || process.env.MSG_PROVIDER || 'manual';
-    const n = (await db.query('SELECT * FROM notifications WHERE id = ?', [id]))[0];
-    if (!n) return res.status(404).json({ ok:false, error:'not_found' });
+    const provider = providerName(req.body && req.body.provider ? req.body.provider : (config.messaging && config.messaging.provider));
 
     if (provider === 'manual') {
       return res.status(400).json({ ok:false, error:'manual_provider_configured', message:'Provider is set to manual in config. Use manual-send to open WhatsApp/SMS links.' });
     }
 
-    // Example placeholder logic (simulate success):
-    // - In a real provider integration, call the provider API here,
-    //   on success update notifications.status='sent', provider_msg_id, sent_at
-    //   and insert a row into message_usage.
-    // For now we simulate a successful send and update DB accordingly.
-    const simulatedProviderId = 'SIM-' + Date.now();
-    await db.query('UPDATE notifications SET status = "sent", provider_msg_id = ?, sent_at = NOW(), updated_at = NOW() WHERE id = ?', [simulatedProviderId, id]);
-
-    // Insert message usage entry for billing/tracking (if table exists)
-    try {
-      await db.query('INSERT INTO message_usage (org_id, notification_id, channel, created_at) VALUES (?, ?, ?, NOW())', [n.org_id, id, n.channel]);
-    } catch (e) {
-      // ignore if message_usage table not present
-      console.warn('Warning: could not insert into message_usage (maybe table missing):', e.message);
-    }
-
-    return res.json({ ok:true, message:'sent_simulated', provider, provider_msg_id: simulatedProviderId });
+    const out = await sendViaProvider(id, provider);
+    return res.json({ ok:true, message:'sent', provider: out.provider, provider_msg_id: out.providerMsgId });
   } catch (err) {
+    if (err.statusCode === 404) return res.status(404).json({ ok:false, error:'not_found' });
+    if (err.statusCode === 409) return res.status(409).json({ ok:false, error: err.message, until: err.defer_until || null });
+    if (err.name === 'ProviderError') {
+      const status = ['unknown_provider', 'provider_not_configured', 'channel_unsupported'].includes(err.code) ? 400
+        : err.transient ? 503 : 502;
+      return res.status(status).json({ ok:false, error: err.code, provider: err.provider, transient: err.transient, retry_at: err.retry_at || null, message: err.message });
+    }
     console.error('POST /notifications/:id/send-via-provider error', err);
     return res.status(500).json({ ok:false, error:'server_error', details: err.message });
   }
 });
 
+/**
+ * GET /notifications/failed?org_id=&limit=
+ * Dead-lettered notifications for an org (newest first) with attempts and last_error.
+ */
+router.get(
+  '/failed',
+  requireAuth,
+  requireAnyRole('admin', 'organization_admin'),
+  ensureOrgAccessParam('org_id'),
+  async (req, res, next) => {
+    try {
+      const org_id = Number(req.query.org_id);
+      const limit = Math.min(500, Math.max(1, Number(req.query.limit) || 100));
+      const [rows] = await db.query(
+        `SELECT id, org_id, booking_id, event, channel, to_phone, ${bodySql()}, provider, attempts, last_error, failed_at, created_at
+           FROM notifications
+          WHERE org_id = ? AND status = 'failed'
+          ORDER BY COALESCE(failed_at, created_at) DESC
+          LIMIT ?`,
+        [org_id, limit]
+      );
+      return res.json({ ok:true, notifications: rows });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * GET /notifications/emails?org_id=&kind=&status=sent|failed&limit=
+ * Transactional email log for an org (services/email), newest first; no bodies are kept.
+ */
+router.get(
+  '/emails',
+  requireAuth,
+  requireAnyRole('admin', 'organization_admin'),
+  ensureOrgAccessParam('org_id'),
+  async (req, res, next) => {
+    try {
+      const emails = await listEmails({
+        org_id: Number(req.query.org_id),
+        kind: req.query.kind || null,
+        status: req.query.status || null,
+        limit: req.query.limit
+      });
+      return res.json({ ok:true, emails });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * POST /notifications/:id/requeue
+ * Give a failed notification back to the dispatcher with fresh attempts.
+ */
+router.post(
+  '/:id/requeue',
+  requireAuth,
+  requireAnyRole('admin', 'organization_admin'),
+  async (req, res, next) => {
+    try {
+      const id = Number(req.params.id);
+      const [[n]] = await db.query('SELECT id, org_id FROM notifications WHERE id = ?', [id]);
+      if (!n) return res.status(404).json({ ok:false, error:'not_found' });
+      if (!(await canAccessOrg(req.user, n.org_id))) {
+        return res.status(403).json({ ok:false, error:'forbidden_org_scope' });
+      }
+      await requeueNotification(id);
+      return res.json({ ok:true, id, status:'pending' });
+    } catch (err) {
+      if (err.statusCode) return res.status(err.statusCode).json({ ok:false, error: err.message });
+      next(err);
+    }
+  }
+);
+
+/**
+ * GET /notifications/delivery?org_id=&date=YYYY-MM-DD&event=booking_created
+ * Did the messages reach customers? Per-notification delivery_status plus totals for the day.
+ * event=all covers every event.
+ */
+router.get(
+  '/delivery',
+  requireAuth,
+  requireAnyRole('admin', 'organization_admin'),
+  ensureOrgAccessParam('org_id'),
+  async (req, res, next) => {
+    try {
+      const org_id = Number(req.query.org_id);
+      const date = /^\d{4}-\d{2}-\d{2}$/.test(String(req.query.date || '')) ? String(req.query.date) : dayjs().format('YYYY-MM-DD');
+      const event = String(req.query.event || 'booking_created');
+      const byEvent = event === 'all' ? '' : 'AND event = ?';
+      const [rows] = await db.query(
+        `SELECT id, booking_id, event, to_phone, status, delivery_status, provider, sent_at, delivered_at, read_at, last_error
+           FROM notifications
+          WHERE org_id = ? AND created_at >= ? AND created_at < ? + INTERVAL 1 DAY ${byEvent}
+          ORDER BY id ASC`,
+        [org_id, date, date, ...(byEvent ? [event] : [])]
+      );
+      const totals = { total: rows.length, not_sent: 0, sent: 0, delivered: 0, read: 0, failed: 0 };
+      for (const n of rows) {
+        if (n.status === 'failed' || n.delivery_status === 'failed') totals.failed++;
+        else if (n.delivery_status === 'read') totals.read++;
+        else if (n.delivery_status === 'delivered') totals.delivered++;
+        else if (n.status === 'sent') totals.sent++;
+        else totals.not_sent++;
+      }
+      return res.json({ ok:true, date, event, totals, notifications: rows });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * GET /notifications/conversation?org_id=&phone=
+ * Messages we sent to a phone and its replies, oldest first.
+ */
+router.get(
+  '/conversation',
+  requireAuth,
+  requireAnyRole('admin', 'organization_admin', 'receptionist'),
+  ensureOrgAccessParam('org_id'),
+  async (req, res, next) => {
+    try {
+      if (!digitsOnly(String(req.query.phone || ''))) return res.status(400).json({ ok:false, error:'phone required' });
+      const limit = Math.min(500, Math.max(1, Number(req.query.limit) || 100));
+      const messages = await listConversation({ org_id: Number(req.query.org_id), phone: String(req.query.phone), limit });
+      return res.json({ ok:true, messages });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
 module.exports = router;
 
@@ -9,6 +9,16 @@ const db = require('../services/db');
 const { requireAuth } = require('../middleware/auth');
 // NOTE: using your existing guard for now; we'll upgrade it in middleware next
 const { requireAnyRole, ensureOrgAccessParam } = require('../middleware/roles');
+const { listCounters, resetCounter } = require('../services/tokens');
+const { parseSlot, computeSlots } = require('../services/slots');
+const { loadHours, openState } = require('../services/hours');
+const { publish, revoke } = require('../services/liveBus');
+const { startBreak, endBreak } = require('../services/breaks');
+const { issueDisplayKey, listDisplays, revokeDisplay } = require('../services/displays');
+const templates = require('../services/templates');
+const { COMMANDS, BUILTIN, listAliases, saveAliases } = require('../services/inboundCommands');
+const messagePolicy = require('../services/messagePolicy');
+const { inviteStaff } = require('../services/staffInvites');
 
 const router = express.Router();
 
@@ -557,24 +567,8 @@ router.post(
       const { user_id, minutes = 15 } = req.body || {};
       if (!user_id) return res.status(400).json({ ok: false, error: 'user_id required' });
 
-      // booking_date = today (YYYY-MM-DD)
-      const today = new Date();
-      const yyyy = today.getFullYear();
-      const mm = String(today.getMonth()+1).padStart(2,'0');
-      const dd = String(today.getDate()).padStart(2,'0');
-      const booking_date = `${yyyy}-${mm}-${dd}`;
-      const until = new Date(Date.now() + Number(minutes) * 60000);
-
-      await db.query(
-        `INSERT INTO assigned_live_metrics
-         (org_id, assigned_user_id, booking_date, break_started_at, break_until, updated_at)
-         VALUES (?,?,?,?,?, NOW())
-         ON DUPLICATE KEY UPDATE break_started_at=VALUES(break_started_at),
-                                 break_until=VALUES(break_until),
-                                 updated_at=NOW()`,
-        [id, user_id, booking_date, new Date(), until]
-      );
-      res.json({ ok: true, break_until: until });
+      const { break_until } = await startBreak({ org_id: id, assigned_user_id: user_id, minutes });
+      res.json({ ok: true, break_until });
     } catch (e) { next(e); }
   }
 );
@@ -590,23 +584,741 @@ router.post(
       const { user_id } = req.body || {};
       if (!user_id) return res.status(400).json({ ok: false, error: 'user_id required' });
 
-      const today = new Date();
-      const yyyy = today.getFullYear();
-      const mm = String(today.getMonth()+1).padStart(2,'0');
-      const dd = String(today.getDate()).padStart(2,'0');
-      const booking_date = `${yyyy}-${mm}-${dd}`;
-
-      await db.query(
-        `UPDATE assigned_live_metrics
-         SET break_until = NULL, break_started_at = NULL, updated_at = NOW()
-         WHERE org_id = ? AND assigned_user_id = ? AND booking_date = ?`,
-        [id, user_id, booking_date]
-      );
+      await endBreak({ org_id: id, assigned_user_id: user_id });
       res.json({ ok: true });
     } catch (e) { next(e); }
   }
 );
 
+/* =========================================================
+   TOKEN COUNTERS (per org / day / assignee)
+   ========================================================= */
+
+/**
+ * GET /organizations/:id/token-counters?date=YYYY-MM-DD
+ * Counter state for each queue that has issued tokens that day (default today)
+ */
+router.get(
+  '/:id/token-counters',
+  requireAuth,
+  requireAnyRole('admin','organization_admin','receptionist','assigned_user'),
+  ensureOrgAccessParam('id'),
+  async (req, res, next) => {
+    try {
+      const org_id = num(req.params.id);
+      const booking_date = req.query.date || dayjs().format('YYYY-MM-DD');
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(booking_date) || !dayjs(booking_date).isValid()) {
+        return res.status(400).json({ ok: false, error: 'invalid_date' });
+      }
+      const counters = await listCounters({ org_id, booking_date });
+      res.json({ ok: true, booking_date, counters });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * POST /organizations/:id/token-counters/reset
+ * Body: { assigned_user_id?, next_token = 1 } — applies to today's queue.
+ * 409 token_in_use when next_token would reuse a token already booked today.
+ */
+router.post(
+  '/:id/token-counters/reset',
+  requireAuth,
+  requireAnyRole('admin', 'organization_admin'),
+  ensureOrgAccessParam('id'),
+  async (req, res, next) => {
+    try {
+      const org_id = num(req.params.id);
+      const { assigned_user_id = null, next_token = 1 } = req.body || {};
+      if (num(next_token, 0) < 1) {
+        return res.status(400).json({ ok: false, error: 'next_token must be >= 1' });
+      }
+      const counter = await resetCounter({
+        org_id,
+        booking_date: dayjs().format('YYYY-MM-DD'),
+        assigned_user_id,
+        next_token,
+        reset_by: req.user?.id || null
+      });
+      publish('counter_reset', { org_id, assigned_user_id: counter.assigned_user_id, next_token: counter.next_token });
+      res.json({ ok: true, counter });
+    } catch (err) {
+      if (err.statusCode === 409) {
+        return res.status(409).json({ ok: false, error: err.message, max_token: err.max_token });
+      }
+      next(err);
+    }
+  }
+);
+
+/* =========================================================
+   DISPLAY DEVICES (waiting-room boards, /status/board/:slug)
+   ========================================================= */
+
+/** GET /organizations/:id/displays — issued devices (never the keys) */
+router.get(
+  '/:id/displays',
+  requireAuth,
+  requireAnyRole('admin', 'organization_admin'),
+  ensureOrgAccessParam('id'),
+  async (req, res, next) => {
+    try {
+      const displays = await listDisplays(num(req.params.id));
+      res.json({ ok: true, displays });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * POST /organizations/:id/displays { name }
+ * Returns the device key once; store it on the screen.
+ */
+router.post(
+  '/:id/displays',
+  requireAuth,
+  requireAnyRole('admin', 'organization_admin'),
+  ensureOrgAccessParam('id'),
+  async (req, res, next) => {
+    try {
+      const name = String(req.body?.name || '').trim();
+      if (!name) return res.status(400).json({ ok: false, error: 'name required' });
+      const display = await issueDisplayKey({ org_id: num(req.params.id), name, created_by: req.user?.id || null });
+      res.status(201).json({ ok: true, display });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/** DELETE /organizations/:id/displays/:display_id — revoke the key and drop its live connections */
+router.delete(
+  '/:id/displays/:display_id',
+  requireAuth,
+  requireAnyRole('admin', 'organization_admin'),
+  ensureOrgAccessParam('id'),
+  async (req, res, next) => {
+    try {
+      const id = num(req.params.display_id);
+      const revoked = await revokeDisplay({ org_id: num(req.params.id), id });
+      if (!revoked) return res.status(404).json({ ok: false, error: 'display_not_found' });
+      revoke(num(req.params.id), `display:${id}`);
+      res.json({ ok: true });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/* =========================================================
+   MESSAGE TEMPLATES (services/templates.js)
+   ========================================================= */
+
+/** Service errors carry statusCode and optional details; anything else goes to the error handler */
+function sendServiceError(res, next, err) {
+  if (err.statusCode) {
+    return res.status(err.statusCode).json({ ok: false, error: err.message, ...(err.details || {}) });
+  }
+  next(err);
+}
+
+/** GET /organizations/:id/templates — saved templates plus events, their variables and built-in defaults */
+router.get(
+  '/:id/templates',
+  requireAuth,
+  requireAnyRole('admin', 'organization_admin'),
+  ensureOrgAccessParam('id'),
+  async (req, res, next) => {
+    try {
+      const org_id = num(req.params.id);
+      const list = await templates.listTemplates(org_id);
+      const defaults = {};
+      for (const event of templates.EVENTS) {
+        defaults[event] = (await templates.resolveTemplate({ org_id: null, event })).body;
+      }
+      res.json({
+        ok: true,
+        templates: list,
+        events: templates.EVENTS,
+        variables: templates.VARIABLES,
+        default_language: templates.DEFAULT_LANGUAGE,
+        defaults
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * PUT /organizations/:id/templates/:event/:language
+ * Body: { body, wa_template_name?, wa_language?, wa_params?: ['token', 'org_name', ...] }
+ * Unknown {{placeholders}} are rejected with the allowed list.
+ */
+router.put(
+  '/:id/templates/:event/:language',
+  requireAuth,
+  requireAnyRole('admin', 'organization_admin'),
+  ensureOrgAccessParam('id'),
+  async (req, res, next) => {
+    try {
+      const b = req.body || {};
+      await templates.saveTemplate({
+        org_id: num(req.params.id),
+        event: req.params.event,
+        language: req.params.language,
+        body: b.body,
+        wa_template_name: b.wa_template_name ? String(b.wa_template_name).trim() : null,
+        wa_language: b.wa_language ? String(b.wa_language).trim() : null,
+        wa_params: b.wa_params ?? null,
+        updated_by: req.user?.id || null
+      });
+      res.json({ ok: true });
+    } catch (err) {
+      sendServiceError(res, next, err);
+    }
+  }
+);
+
+/** DELETE /organizations/:id/templates/:event/:language — fall back to the default again */
+router.delete(
+  '/:id/templates/:event/:language',
+  requireAuth,
+  requireAnyRole('admin', 'organization_admin'),
+  ensureOrgAccessParam('id'),
+  async (req, res, next) => {
+    try {
+      const removed = await templates.deleteTemplate({
+        org_id: num(req.params.id), event: req.params.event, language: req.params.language
+      });
+      if (!removed) return res.status(404).json({ ok: false, error: 'template_not_found' });
+      res.json({ ok: true });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * POST /organizations/:id/templates/preview
+ * Body: { event, language?, body?, vars? } — renders with sample values; `body` previews an unsaved draft
+ */
+router.post(
+  '/:id/templates/preview',
+  requireAuth,
+  requireAnyRole('admin', 'organization_admin'),
+  ensureOrgAccessParam('id'),
+  async (req, res, next) => {
+    try {
+      const b = req.body || {};
+      const vars = { ...templates.SAMPLE, ...(b.vars && typeof b.vars === 'object' ? b.vars : {}) };
+      const message = await templates.renderTemplate({
+        org_id: num(req.params.id),
+        event: b.event,
+        language: b.language,
+        body: b.body != null ? String(b.body) : null,
+        vars
+      });
+      res.json({ ok: true, message });
+    } catch (err) {
+      sendServiceError(res, next, err);
+    }
+  }
+);
+
+/**
+ * POST /organizations/:id/templates/render
+ * Body: { event, booking_id, language?, vars? } — the exact text a customer of that booking would get
+ */
+router.post(
+  '/:id/templates/render',
+  requireAuth,
+  requireAnyRole('admin', 'organization_admin'),
+  ensureOrgAccessParam('id'),
+  async (req, res, next) => {
+    try {
+      const org_id = num(req.params.id);
+      const b = req.body || {};
+      const booking_id = num(b.booking_id);
+      if (!booking_id) return res.status(400).json({ ok: false, error: 'booking_id required' });
+
+      const [rows] = await db.query(`SELECT * FROM bookings WHERE id = ? AND org_id = ? LIMIT 1`, [booking_id, org_id]);
+      const booking = rows[0];
+      if (!booking) return res.status(404).json({ ok: false, error: 'booking_not_found' });
+
+      const extra = b.vars && typeof b.vars === 'object' ? b.vars : {};
+      const message = await templates.renderTemplate({
+        org_id,
+        event: b.event,
+        language: b.language || booking.language,
+        vars: await templates.varsForBooking(booking, extra)
+      });
+      res.json({ ok: true, message });
+    } catch (err) {
+      sendServiceError(res, next, err);
+    }
+  }
+);
+
+/* =========================================================
+   REPLY COMMAND ALIASES (services/inboundCommands.js)
+   ========================================================= */
+
+/** GET /organizations/:id/command-aliases — the org's words per command plus the built-in ones */
+router.get(
+  '/:id/command-aliases',
+  requireAuth,
+  requireAnyRole('admin', 'organization_admin'),
+  ensureOrgAccessParam('id'),
+  async (req, res, next) => {
+    try {
+      const aliases = await listAliases(num(req.params.id));
+      res.json({ ok: true, commands: COMMANDS, builtin: BUILTIN, aliases });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * PUT /organizations/:id/command-aliases
+ * Body: { aliases: { status: ['स्थिति'], cancel: ['रद्द'], late: [...], join: [...], stop: [...], start: [...], help: [...] } }
+ * Replaces all of the org's aliases; an alias may not already mean another command.
+ */
+router.put(
+  '/:id/command-aliases',
+  requireAuth,
+  requireAnyRole('admin', 'organization_admin'),
+  ensureOrgAccessParam('id'),
+  async (req, res, next) => {
+    try {
+      const aliases = await saveAliases(num(req.params.id), req.body?.aliases);
+      res.json({ ok: true, aliases });
+    } catch (err) {
+      sendServiceError(res, next, err);
+    }
+  }
+);
+
+/* =========================================================
+   STAFF INVITES (services/staffInvites.js)
+   ========================================================= */
+
+/**
+ * POST /organizations/:id/staff-invites
+ * Body: { email, name?, role?: 'receptionist' (default) | 'assigned_user' | 'organization_admin' }
+ * Creates the staff user and emails a set-password link; inviting an existing member sends a new link.
+ * 201 for a new user, 200 for a re-sent invite; `emailed: false` when SMTP failed (invite again to retry).
+ */
+router.post(
+  '/:id/staff-invites',
+  requireAuth,
+  requireAnyRole('admin', 'organization_admin'),
+  ensureOrgAccessParam('id'),
+  async (req, res, next) => {
+    try {
+      const b = req.body || {};
+      const invite = await inviteStaff({
+        org_id: num(req.params.id), email: b.email, name: b.name, role: b.role || undefined, inviter: req.user
+      });
+      res.status(invite.created ? 201 : 200).json({ ok: true, invite });
+    } catch (err) {
+      sendServiceError(res, next, err);
+    }
+  }
+);
+
+/* =========================================================
+   MESSAGING CONSENT + QUIET HOURS (services/messagePolicy.js)
+   ========================================================= */
+
+/**
+ * GET /organizations/:id/consents?phone=&status=opted_in|opted_out
+ * Consent rows for the org, newest change first (at most 500)
+ */
+router.get(
+  '/:id/consents',
+  requireAuth,
+  requireAnyRole('admin', 'organization_admin'),
+  ensureOrgAccessParam('id'),
+  async (req, res, next) => {
+    try {
+      const where = ['org_id = ?'];
+      const params = [num(req.params.id)];
+      if (req.query.phone) {
+        where.push('phone = ?');
+        params.push(messagePolicy.recipientKey(req.query.phone));
+      }
+      if (req.query.status) {
+        if (!['opted_in', 'opted_out'].includes(req.query.status)) {
+          return res.status(400).json({ ok: false, error: 'invalid_status' });
+        }
+        where.push('status = ?');
+        params.push(req.query.status);
+      }
+      const [consents] = await db.query(
+        `SELECT phone, status, source, opted_in_at, opted_out_at, opt_out_source, updated_at
+           FROM message_consents WHERE ${where.join(' AND ')}
+          ORDER BY updated_at DESC LIMIT 500`,
+        params
+      );
+      res.json({ ok: true, consents });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * PUT /organizations/:id/consents/:phone
+ * Body: { status: 'opted_in' | 'opted_out' } — staff recording a customer's wish (source 'staff').
+ * Opting out suppresses messages already queued for that phone.
+ */
+router.put(
+  '/:id/consents/:phone',
+  requireAuth,
+  requireAnyRole('admin', 'organization_admin'),
+  ensureOrgAccessParam('id'),
+  async (req, res, next) => {
+    try {
+      const org_id = num(req.params.id);
+      const phone = req.params.phone;
+      if (!messagePolicy.recipientKey(phone)) return res.status(400).json({ ok: false, error: 'invalid_phone' });
+      const status = req.body?.status;
+      if (status === 'opted_out') await messagePolicy.optOut({ org_id, phone, source: 'staff' });
+      else if (status === 'opted_in') await messagePolicy.optIn({ org_id, phone, source: 'staff' });
+      else return res.status(400).json({ ok: false, error: 'invalid_status' });
+      res.json({ ok: true, consent: await messagePolicy.getConsent(org_id, phone) });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * PUT /organizations/:id/quiet-hours
+ * Body: { start: '21:00', end: '09:00' } (server-local, may span midnight) or { start: null, end: null } to clear.
+ * Non-urgent messages due inside the window wait until `end`.
+ */
+router.put(
+  '/:id/quiet-hours',
+  requireAuth,
+  requireAnyRole('admin', 'organization_admin'),
+  ensureOrgAccessParam('id'),
+  async (req, res, next) => {
+    try {
+      const org_id = num(req.params.id);
+      const b = req.body || {};
+      let start = null;
+      let end = null;
+      if (b.start != null || b.end != null) {
+        start = parseSlot(b.start);
+        end = parseSlot(b.end);
+        if (!start || !end) return res.status(400).json({ ok: false, error: 'invalid_time' });
+        if (start === end) return res.status(400).json({ ok: false, error: 'empty_window' });
+      }
+      const [r] = await db.query(
+        `UPDATE organizations SET quiet_hours_start = ?, quiet_hours_end = ? WHERE id = ?`,
+        [start, end, org_id]
+      );
+      if (!r.affectedRows) return res.status(404).json({ ok: false, error: 'not_found' });
+      res.json({ ok: true, quiet_hours: start ? { start, end } : null });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/* =========================================================
+   BUSINESS HOURS + CLOSURES
+   ========================================================= */
+
+/**
+ * GET /organizations/:id/hours
+ * Weekly hours plus the current open/closed state
+ */
+router.get(
+  '/:id/hours',
+  requireAuth,
+  ensureOrgAccessParam('id'),
+  async (req, res, next) => {
+    try {
+      const org_id = num(req.params.id);
+      const hours = await loadHours(org_id);
+      const state = await openState(org_id);
+      res.json({ ok: true, hours, state });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * PUT /organizations/:id/hours
+ * Body: { hours: [{ weekday: 0-6 (0=Sun), open_time:'09:00', close_time:'17:00' }, ...] }
+ * Replaces the weekly schedule. An empty list means "always open".
+ */
+router.put(
+  '/:id/hours',
+  requireAuth,
+  requireAnyRole('admin', 'organization_admin'),
+  ensureOrgAccessParam('id'),
+  async (req, res, next) => {
+    try {
+      const org_id = num(req.params.id);
+      const list = Array.isArray(req.body?.hours) ? req.body.hours : null;
+      if (!list) return res.status(400).json({ ok: false, error: 'hours array required' });
+
+      const rows = [];
+      for (const h of list) {
+        const weekday = num(h.weekday, -1);
+        const open_time = parseSlot(h.open_time);
+        const close_time = parseSlot(h.close_time);
+        if (weekday < 0 || weekday > 6 || !open_time || !close_time || open_time >= close_time) {
+          return res.status(400).json({ ok: false, error: 'invalid_hours', entry: h });
+        }
+        rows.push([org_id, weekday, open_time, close_time]);
+      }
+
+      await db.withTransaction(async (conn) => {
+        await conn.query(`DELETE FROM org_hours WHERE org_id=?`, [org_id]);
+        if (rows.length) {
+          await conn.query(`INSERT INTO org_hours (org_id, weekday, open_time, close_time) VALUES ?`, [rows]);
+        }
+      });
+      res.json({ ok: true, hours: await loadHours(org_id) });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * GET /organizations/:id/closures?from=YYYY-MM-DD
+ * Upcoming (or from `from`) holidays and special closures
+ */
+router.get(
+  '/:id/closures',
+  requireAuth,
+  ensureOrgAccessParam('id'),
+  async (req, res, next) => {
+    try {
+      const org_id = num(req.params.id);
+      const from = req.query.from && dayjs(req.query.from).isValid()
+        ? dayjs(req.query.from).startOf('day')
+        : dayjs();
+      const [rows] = await db.query(
+        `SELECT id, org_id, kind, starts_at, ends_at, reason, created_at
+         FROM org_closures
+         WHERE org_id = ? AND ends_at > ?
+         ORDER BY starts_at ASC`,
+        [org_id, from.format('YYYY-MM-DD HH:mm:ss')]
+      );
+      res.json({ ok: true, closures: rows });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * POST /organizations/:id/closures
+ * Body: { kind:'holiday'|'closure', reason?, date:'YYYY-MM-DD' (whole day)
+ *         | starts_at, ends_at (datetimes, for partial or multi-day closures) }
+ */
+router.post(
+  '/:id/closures',
+  requireAuth,
+  requireAnyRole('admin', 'organization_admin'),
+  ensureOrgAccessParam('id'),
+  async (req, res, next) => {
+    try {
+      const org_id = num(req.params.id);
+      const b = req.body || {};
+      const kind = b.kind === 'holiday' ? 'holiday' : 'closure';
+
+      let starts_at, ends_at;
+      if (b.date) {
+        starts_at = dayjs(b.date).startOf('day');
+        ends_at = starts_at.add(1, 'day');
+      } else {
+        starts_at = dayjs(b.starts_at);
+        ends_at = dayjs(b.ends_at);
+      }
+      if (!starts_at.isValid() || !ends_at.isValid() || !ends_at.isAfter(starts_at)) {
+        return res.status(400).json({ ok: false, error: 'date or starts_at < ends_at required' });
+      }
+
+      const row = {
+        org_id,
+        kind,
+        starts_at: starts_at.format('YYYY-MM-DD HH:mm:ss'),
+        ends_at: ends_at.format('YYYY-MM-DD HH:mm:ss'),
+        reason: b.reason ? String(b.reason).slice(0, 255) : null,
+        created_by: req.user?.id || null
+      };
+      const [r] = await db.query(`INSERT INTO org_closures SET ?`, [row]);
+      res.status(201).json({ ok: true, closure: { id: r.insertId, ...row } });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * DELETE /organizations/:id/closures/:closure_id
+ */
+router.delete(
+  '/:id/closures/:closure_id',
+  requireAuth,
+  requireAnyRole('admin', 'organization_admin'),
+  ensureOrgAccessParam('id'),
+  async (req, res, next) => {
+    try {
+      const org_id = num(req.params.id);
+      const closure_id = num(req.params.closure_id);
+      const [r] = await db.query(
+        `DELETE FROM org_closures WHERE id=? AND org_id=?`,
+        [closure_id, org_id]
+      );
+      res.json({ ok: true, deleted: r.affectedRows });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/* =========================================================
+   APPOINTMENT SLOTS (advance bookings)
+   ========================================================= */
+
+/**
+ * GET /organizations/:id/slots?date=YYYY-MM-DD&assigned_user_id=
+ * Slot availability for one day; empty when no templates apply (walk-in only).
+ */
+router.get(
+  '/:id/slots',
+  requireAuth,
+  requireAnyRole('admin','organization_admin','receptionist','assigned_user'),
+  ensureOrgAccessParam('id'),
+  async (req, res, next) => {
+    try {
+      const org_id = num(req.params.id);
+      const date = req.query.date || dayjs().format('YYYY-MM-DD');
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !dayjs(date).isValid()) {
+        return res.status(400).json({ ok: false, error: 'invalid_date' });
+      }
+      const assigned_user_id = req.query.assigned_user_id ? num(req.query.assigned_user_id) : null;
+      const slots = await computeSlots({ org_id, assigned_user_id, date });
+      res.json({ ok: true, date, assigned_user_id, slots });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * GET /organizations/:id/slot-templates
+ */
+router.get(
+  '/:id/slot-templates',
+  requireAuth,
+  requireAnyRole('admin','organization_admin','receptionist','assigned_user'),
+  ensureOrgAccessParam('id'),
+  async (req, res, next) => {
+    try {
+      const org_id = num(req.params.id);
+      const [rows] = await db.query(
+        `SELECT id, org_id, assigned_user_id, weekday,
+                TIME_FORMAT(start_time, '%H:%i') AS start_time,
+                TIME_FORMAT(end_time, '%H:%i') AS end_time,
+                slot_minutes, capacity, is_active
+         FROM slot_templates
+         WHERE org_id = ?
+         ORDER BY assigned_user_id IS NOT NULL, assigned_user_id, weekday, start_time`,
+        [org_id]
+      );
+      res.json({ ok: true, templates: rows });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * POST /organizations/:id/slot-templates
+ * Body: { start_time:'09:00', end_time:'13:00', slot_minutes=15, capacity=1,
+ *         weekday? (0=Sun..6, omit for every day), assigned_user_id? }
+ */
+router.post(
+  '/:id/slot-templates',
+  requireAuth,
+  requireAnyRole('admin', 'organization_admin'),
+  ensureOrgAccessParam('id'),
+  async (req, res, next) => {
+    try {
+      const org_id = num(req.params.id);
+      const b = req.body || {};
+      const start_time = parseSlot(b.start_time);
+      const end_time = parseSlot(b.end_time);
+      const slot_minutes = num(b.slot_minutes, 15);
+      const capacity = num(b.capacity, 1);
+      const weekday = b.weekday == null || b.weekday === '' ? null : num(b.weekday, -1);
+
+      if (!start_time || !end_time || start_time >= end_time) {
+        return res.status(400).json({ ok: false, error: 'start_time and end_time (HH:mm) required, start before end' });
+      }
+      if (slot_minutes < 5 || capacity < 1) {
+        return res.status(400).json({ ok: false, error: 'slot_minutes >= 5 and capacity >= 1 required' });
+      }
+      if (weekday !== null && (weekday < 0 || weekday > 6)) {
+        return res.status(400).json({ ok: false, error: 'weekday must be 0-6' });
+      }
+
+      const row = {
+        org_id,
+        assigned_user_id: b.assigned_user_id ? num(b.assigned_user_id) : null,
+        weekday,
+        start_time,
+        end_time,
+        slot_minutes,
+        capacity,
+        is_active: toBool(b.is_active, true) ? 1 : 0
+      };
+      const [r] = await db.query(`INSERT INTO slot_templates SET ?`, [row]);
+      res.status(201).json({ ok: true, template: { id: r.insertId, ...row } });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+/**
+ * DELETE /organizations/:id/slot-templates/:template_id
+ */
+router.delete(
+  '/:id/slot-templates/:template_id',
+  requireAuth,
+  requireAnyRole('admin', 'organization_admin'),
+  ensureOrgAccessParam('id'),
+  async (req, res, next) => {
+    try {
+      const org_id = num(req.params.id);
+      const template_id = num(req.params.template_id);
+      const [r] = await db.query(
+        `DELETE FROM slot_templates WHERE id=? AND org_id=?`,
+        [template_id, org_id]
+      );
+      res.json({ ok: true, deleted: r.affectedRows });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
 /* =========================================================
    ORG ITEMS ROUTES (existing)
    ========================================================= */
@@ -0,0 +1,59 @@
+// routes/otp.js — customer phone verification
+// POST /otp/request -> code sent via notifications; POST /otp/verify -> short-lived customer token
+
+const express = require('express');
+const db = require('../services/db');
+const { rateLimit } = require('../middleware/rateLimit');
+const { requestOtp, verifyOtp } = require('../services/otp');
+
+const router = express.Router();
+
+const num = (x, d = 0) => { const n = Number(x); return Number.isFinite(n) ? n : d; };
+
+const perIp = rateLimit({ windowMs: 10 * 60 * 1000, max: 20, error: 'too_many_requests' });
+
+/** body.org_id or body.slug -> req.org_id */
+async function resolveOrg(req, res, next) {
+  try {
+    const b = req.body || {};
+    let org_id = num(b.org_id);
+    if (!org_id && b.slug) {
+      const [rows] = await db.query(`SELECT id FROM organizations WHERE slug = ? LIMIT 1`, [String(b.slug).toLowerCase()]);
+      org_id = rows[0]?.id || 0;
+    }
+    if (!org_id) return res.status(400).json({ ok: false, error: 'org_id or slug required' });
+    req.org_id = org_id;
+    next();
+  } catch (e) { next(e); }
+}
+
+function sendOtpError(res, next, e) {
+  if (!e.statusCode) return next(e);
+  return res.status(e.statusCode).json({ ok: false, error: e.message, ...(e.details || {}) });
+}
+
+/**
+ * POST /otp/request
+ * Body: { org_id | slug, phone }
+ */
+router.post('/request', perIp, resolveOrg, async (req, res, next) => {
+  try {
+    const out = await requestOtp({ org_id: req.org_id, phone: req.body.phone, ip: req.ip });
+    res.json({ ok: true, ...out });
+  } catch (e) { sendOtpError(res, next, e); }
+});
+
+/**
+ * POST /otp/verify
+ * Body: { org_id | slug, phone, code }
+ * Returns { customer_token } — send it as X-Customer-Token on customer actions.
+ */
+router.post('/verify', perIp, resolveOrg, async (req, res, next) => {
+  try {
+    const out = await verifyOtp({ org_id: req.org_id, phone: req.body.phone, code: req.body.code });
+    res.json({ ok: true, ...out });
+  } catch (e) { sendOtpError(res, next, e); }
+});
+
+module.exports = router;
+module.exports.default = router;
@@ -7,6 +7,7 @@ const crypto = require('crypto');
 const Razorpay = require('razorpay');
 
 const db = require("../services/db");
+const { sendReceipt } = require('../services/paymentReceipts');
 
 const router = express.Router();
 
@@ -47,6 +48,14 @@ async function upsertOrgBilling(payload){
   await db.query(sql, vals);
 }
 
+/* ---------- Helper: receipt with the amount Razorpay charged, as the webhook sends it ---------- */
+async function receiptForPayment(orgId, { order_id, payment_id }){
+  let amount_paise = null;
+  try{ amount_paise = num((await rzp.payments.fetch(payment_id)).amount) || null; }
+  catch(e){ console.warn('[payments] could not fetch payment', payment_id, e?.error?.description || e?.message || e); }
+  return sendReceipt(orgId, { order_id, payment_id, amount_paise });
+}
+
 /* ---------- Pricing preview (semi/full) ---------- */
 router.get('/preview', async (req,res,next)=>{
   try{
@@ -130,6 +139,8 @@ router.post('/verify-order', async (req,res,next)=>{
       initial_paid_at: new Date(),
       status: 'paid'
     });
+    // not awaited: the fetch is caught and sendReceipt never rejects
+    receiptForPayment(orgId, { order_id: razorpay_order_id, payment_id: razorpay_payment_id });
 
     res.json({ ok:true, verified:true });
   }catch(e){ next(e); }
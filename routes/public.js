@@ -0,0 +1,178 @@
+// routes/public.js — unauthenticated self-service by organization slug (QR at the door)
+
+const express = require('express');
+const dayjs = require('dayjs');
+const db = require('../services/db');
+const { enforceOrgLimits } = require('../middleware/limits');
+const { rateLimit } = require('../middleware/rateLimit');
+const { requireCustomer } = require('../middleware/customer');
+const { createBooking } = require('../services/bookings');
+const { computeSlots } = require('../services/slots');
+const { openState } = require('../services/hours');
+const queue = require('../services/queue');
+const { samePhone, digitsOnly } = require('../util/phone');
+const { signStatusToken } = require('../services/statusToken');
+
+const router = express.Router();
+
+const num = (x, d = 0) => { const n = Number(x); return Number.isFinite(n) ? n : d; };
+
+const perIp = rateLimit({
+  windowMs: 10 * 60 * 1000,
+  max: num(process.env.PUBLIC_BOOKINGS_PER_IP, 10),
+  key: (req) => req.ip,
+  error: 'too_many_requests'
+});
+const perPhone = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: num(process.env.PUBLIC_BOOKINGS_PER_PHONE, 3),
+  key: (req) => {
+    const d = digitsOnly(req.body?.user_phone || req.customer?.phone);
+    return d ? `${req.params.slug}:${d}` : null;
+  },
+  error: 'too_many_bookings_for_phone'
+});
+
+/** Resolve :slug to an active org on req.org (and body.org_id for enforceOrgLimits) */
+async function loadOrgBySlug(req, res, next) {
+  try {
+    const slug = String(req.params.slug || '').toLowerCase();
+    const [rows] = await db.query(`SELECT * FROM organizations WHERE slug = ? LIMIT 1`, [slug]);
+    const org = rows[0];
+    if (!org || org.is_active === 0) return res.status(404).json({ ok: false, error: 'org_not_found' });
+    req.org = org;
+    if (req.method === 'POST') req.body = { ...(req.body || {}), org_id: org.id };
+    next();
+  } catch (e) { next(e); }
+}
+
+/**
+ * GET /public/:slug
+ * Public profile: name, location, links, open state, services and assignees to choose from
+ */
+router.get('/:slug', loadOrgBySlug, async (req, res, next) => {
+  try {
+    const o = req.org;
+    const [items] = await db.query(
+      `SELECT id, name, description FROM org_items WHERE org_id = ? AND is_active = 1 ORDER BY created_at ASC`,
+      [o.id]
+    );
+    const [staff] = await db.query(
+      `SELECT id, name, dept FROM org_users WHERE org_id = ? ORDER BY name ASC`,
+      [o.id]
+    );
+    const state = await openState(o.id);
+    res.json({
+      ok: true,
+      org: {
+        id: o.id, slug: o.slug, name: o.name, location: o.location, services: o.services,
+        photo: o.photo, banner_url: o.banner_url, map_url: o.map_url, google_review_url: o.google_review_url
+      },
+      open: state.open,
+      closed: state.open ? null : { until: state.until, reason: state.reason },
+      items,
+      assignees: staff
+    });
+  } catch (e) { next(e); }
+});
+
+/**
+ * GET /public/:slug/slots?date=YYYY-MM-DD&assigned_user_id=
+ */
+router.get('/:slug/slots', loadOrgBySlug, async (req, res, next) => {
+  try {
+    const date = req.query.date || dayjs().format('YYYY-MM-DD');
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !dayjs(date).isValid()) {
+      return res.status(400).json({ ok: false, error: 'invalid_date' });
+    }
+    const assigned_user_id = req.query.assigned_user_id ? num(req.query.assigned_user_id) : null;
+    const slots = await computeSlots({ org_id: req.org.id, assigned_user_id, date });
+    res.json({ ok: true, date, slots: slots.map(({ start, end, available }) => ({ start, end, available })) });
+  } catch (e) { next(e); }
+});
+
+/** Service errors carry statusCode and optional details */
+function sendServiceError(res, next, e) {
+  if (!e.statusCode) return next(e);
+  return res.status(e.statusCode).json({ ok: false, error: e.message, ...(e.details || {}) });
+}
+
+/**
+ * POST /public/:slug/bookings
+ * Header: X-Customer-Token (from /otp/verify for this org)
+ * Body: { user_name, user_phone?, assigned_user_id?, booking_date?, slot?, items?, department?, division?,
+ *         messages_opt_in? (default true; false records an opt-out, see services/messagePolicy) }
+ * user_phone defaults to the verified phone and must match it.
+ * Same plan limits, opening hours and slot rules as staff bookings.
+ */
+router.post('/:slug/bookings', perIp, requireCustomer, loadOrgBySlug, perPhone, enforceOrgLimits, async (req, res, next) => {
+  try {
+    const b = req.body || {};
+    const org_id = req.org.id;
+    if (Number(req.customer.org_id) !== Number(org_id)) {
+      return res.status(403).json({ ok: false, error: 'customer_token_org_mismatch' });
+    }
+    if (!b.user_phone) b.user_phone = req.customer.phone;
+    if (!samePhone(b.user_phone, req.customer.phone)) {
+      return res.status(403).json({ ok: false, error: 'phone_not_verified' });
+    }
+
+    if (b.assigned_user_id) {
+      const [u] = await db.query(
+        `SELECT id FROM org_users WHERE id = ? AND org_id = ? LIMIT 1`,
+        [num(b.assigned_user_id), org_id]
+      );
+      if (!u.length) return res.status(400).json({ ok: false, error: 'invalid_assigned_user_id' });
+    }
+
+    const out = await createBooking({
+      org_id,
+      user_name: String(b.user_name || '').slice(0, 100),
+      user_phone: b.user_phone,
+      assigned_user_id: b.assigned_user_id || null,
+      booking_date: b.booking_date,
+      slot: b.slot,
+      items: b.items,
+      department: b.department,
+      division: b.division,
+      messages_opt_in: b.messages_opt_in !== false,
+      consent_source: 'public_booking'
+    });
+
+    res.status(201).json({
+      ok: true,
+      id: out.id,
+      token_number: out.token_number,
+      booking_date: out.booking_date,
+      scheduled_at: out.scheduled_at,
+      status_link: out.status_link,
+      status_token: signStatusToken({ booking_id: out.id, org_id, booking_date: out.booking_date })
+    });
+  } catch (e) { sendServiceError(res, next, e); }
+});
+
+/**
+ * POST /public/bookings/:id/cancel
+ * Header: X-Customer-Token for the booking's org and phone
+ * Body: { reason? }
+ */
+router.post('/bookings/:id/cancel', perIp, requireCustomer, async (req, res, next) => {
+  try {
+    const id = num(req.params.id);
+    const [rows] = await db.query(`SELECT id, org_id, user_phone FROM bookings WHERE id = ? LIMIT 1`, [id]);
+    const booking = rows[0];
+    if (!booking
+        || Number(booking.org_id) !== Number(req.customer.org_id)
+        || !samePhone(booking.user_phone, req.customer.phone)) {
+      return res.status(404).json({ ok: false, error: 'booking_not_found' });
+    }
+    const out = await queue.cancel(booking.id, {
+      reason: req.body?.reason ? String(req.body.reason).trim() : null,
+      cancelled_by: 'customer'
+    });
+    res.json({ ok: true, id: out.id, status: out.status });
+  } catch (e) { sendServiceError(res, next, e); }
+});
+
+module.exports = router;
+module.exports.default = router;
@@ -3,32 +3,59 @@
 const express = require('express');
 const dayjs = require('dayjs');
 const db = require('../services/db');
+const { openState } = require('../services/hours');
+const { optionalCustomer, requireStatusLink } = require('../middleware/customer');
+const { rateLimit } = require('../middleware/rateLimit');
+const queue = require('../services/queue');
+const { statusView } = require('../services/statusView');
+const { samePhone, digitsOnly } = require('../util/phone');
+const { phoneSql } = require('../services/conversations');
+const { signStatusToken, verifyStatusToken } = require('../services/statusToken');
+const { verifyDisplayKey, buildBoard } = require('../services/displays');
 
 const router = express.Router();
 const num = (x, d=0) => { const n = Number(x); return Number.isFinite(n) ? n : d; };
 
+// Unsigned ?org_id&booking_id|token links from before signed links are honoured through this
+// date (YYYY-MM-DD) while they roll over; unset means refused.
+const LEGACY_LINKS_UNTIL = process.env.STATUS_LEGACY_LINKS_UNTIL || null;
+const legacyLinksAllowed = () => !!LEGACY_LINKS_UNTIL && dayjs().format('YYYY-MM-DD') <= LEGACY_LINKS_UNTIL;
+
 /**
- * GET /status/view?org_id=...&booking_id=...&token=...&phone=...
- * returns { org, booking, metrics }
+ * GET /status/view?s=<status token>     (the link sent to the customer)
+ * GET /status/view?org_id=...&phone=...  needs X-Customer-Token for that org and phone (see /otp)
+ * returns { org, booking, metrics, closed, wait, status_token }
+ *   closed: null while open, else { until, reason } ("closed until …")
+ *   wait:   null unless the booking is waiting today, else
+ *           { position, people_ahead, eta_seconds, eta_range_seconds, eta_minutes:{low,high}, ... }
+ *   status_token: pass as /live?status_token= to follow this booking's queue
  */
-router.get('/view', async (req, res, next) => {
+router.get('/view', optionalCustomer, async (req, res, next) => {
   try {
-    const org_id = num(req.query.org_id);
-    const booking_id = num(req.query.booking_id);
-    const token = req.query.token ? num(req.query.token) : null;
+    let org_id = num(req.query.org_id);
+    let booking_id = 0;
+    let token = null;
     const phone = req.query.phone || null;
+    if (req.query.s) {
+      const st = verifyStatusToken(req.query.s);
+      if (!st) return res.status(401).json({ ok:false, error:'invalid_or_expired_link' });
+      org_id = st.org_id;
+      booking_id = st.booking_id;
+    } else if (req.query.booking_id || req.query.token) {
+      if (!legacyLinksAllowed()) return res.status(410).json({ ok:false, error:'legacy_link_unsupported' });
+      res.set('Deprecation', 'true');
+      booking_id = num(req.query.booking_id);
+      token = req.query.token ? num(req.query.token) : null;
+    }
     if (!org_id || (!booking_id && !token && !phone)) {
-      return res.status(400).json({ ok:false, error:'org_id and one of booking_id|token|phone required' });
+      return res.status(400).json({ ok:false, error:'s, or org_id and phone, required' });
+    }
+    if (phone && !booking_id && !token) {
+      const c = req.customer;
+      if (!c || Number(c.org_id) !== org_id || !samePhone(c.phone, phone)) {
+        return res.status(401).json({ ok:false, error:'customer_verification_required' });
+      }
     }
-
-    const [orgRows] = await db.query(
-      `SELECT id, name, map_url, google_review_url, now_serving_token,
-              break_started_at, break_until, service_start_at, avg_service_seconds
-         FROM organizations
-        WHERE id=? LIMIT 1`, [org_id]
-    );
-    const org = orgRows[0] || null;
-    if (!org) return res.status(404).json({ ok:false, error:'org_not_found' });
 
     // locate booking by id/token/phone (today preferred)
     let booking = null;
@@ -43,37 +70,103 @@ router.get('/view', async (req, res, next) => {
         [org_id, dayjs().format('YYYY-MM-DD'), token]
       );
       booking = b[0] || null;
-    } else if (phone) {
+    } else if (digitsOnly(phone).length >= 8) {
+      // last 10 digits, as samePhone: "+91 98…" and "98…" are the same customer
       const [b] = await db.query(
         `SELECT * FROM bookings
-          WHERE org_id=? AND booking_date=? AND user_phone=? 
+          WHERE org_id=? AND booking_date=? AND ${phoneSql('user_phone')}=?
           ORDER BY id DESC LIMIT 1`,
-        [org_id, dayjs().format('YYYY-MM-DD'), phone]
+        [org_id, dayjs().format('YYYY-MM-DD'), digitsOnly(phone).slice(-10)]
       );
       booking = b[0] || null;
     }
 
-    // metrics: per-assigned or per-org based on ASSIGNED_METRICS
-    let metrics = null;
-    const assignedMode = String(process.env.ASSIGNED_METRICS || 'false').toLowerCase() === 'true';
-    if (!assignedMode) {
-      metrics = {
-        now_serving: org.now_serving_token || null,
-        avg_service_seconds: org.avg_service_seconds || null,
-        break_until: org.break_until || null,
-        updated_at: null
-      };
-    } else if (booking?.assigned_user_id) {
-      const [m] = await db.query(
-        `SELECT now_serving_token AS now_serving, avg_service_seconds, break_until, updated_at
-           FROM assigned_live_metrics
-          WHERE org_id=? AND assigned_user_id=? AND booking_date=?`,
-        [org_id, booking.assigned_user_id, dayjs(booking.booking_date || new Date()).format('YYYY-MM-DD')]
-      );
-      metrics = m[0] || { now_serving: null, avg_service_seconds: null, break_until: null, updated_at: null };
-    }
+    const { org, metrics, closed, wait } = await statusView({ org_id, booking });
+    if (!org) return res.status(404).json({ ok:false, error:'org_not_found' });
+
+    const status_token = booking
+      ? signStatusToken({ booking_id: booking.id, org_id, booking_date: booking.booking_date })
+      : null;
+
+    res.json({ ok:true, org_id, booking_id: booking?.id || booking_id || null, org, booking, metrics, closed, wait, status_token });
+  } catch (e) { next(e); }
+});
+
+/* ---------- Customer actions from the status link ----------
+ * Authenticated by the signed status token (X-Status-Token, body.s or ?s=); the booking
+ * is the one the link was issued for. Each action is audited (booking_events) and
+ * announced to staff on the live bus.
+ */
+const perLink = rateLimit({
+  windowMs: 10 * 60 * 1000,
+  max: 10,
+  key: (req) => `status:${req.statusLink.booking_id}`,
+  error: 'too_many_requests'
+});
+
+function sendServiceError(res, next, e) {
+  if (!e.statusCode) return next(e);
+  return res.status(e.statusCode).json({ ok:false, error: e.message, ...(e.details || {}) });
+}
+
+/** POST /status/cancel { reason? } */
+router.post('/cancel', requireStatusLink, perLink, async (req, res, next) => {
+  try {
+    const out = await queue.cancel(req.statusLink.booking_id, {
+      reason: req.body?.reason ? String(req.body.reason).trim() : null,
+      cancelled_by: 'customer'
+    });
+    res.json({ ok:true, id: out.id, status: out.status });
+  } catch (e) { sendServiceError(res, next, e); }
+});
+
+/**
+ * POST /status/running-late { positions = 1 }
+ * Moves the booking back that many places (LATE_MAX_POSITIONS, at most LATE_MAX_TIMES per booking).
+ */
+router.post('/running-late', requireStatusLink, perLink, async (req, res, next) => {
+  try {
+    const out = await queue.runningLate(req.statusLink.booking_id, { positions: req.body?.positions ?? 1 });
+    res.json({ ok:true, id: out.booking.id, moved: out.moved, behind_token: out.behind_token });
+  } catch (e) { sendServiceError(res, next, e); }
+});
+
+/** POST /status/on-my-way { eta_minutes? } */
+router.post('/on-my-way', requireStatusLink, perLink, async (req, res, next) => {
+  try {
+    const out = await queue.onMyWay(req.statusLink.booking_id, { eta_minutes: req.body?.eta_minutes });
+    res.json({ ok:true, id: out.booking.id, eta_minutes: out.eta_minutes });
+  } catch (e) { sendServiceError(res, next, e); }
+});
+
+/**
+ * GET /status/board/:slug — waiting-room screen (X-Display-Key: <key> or ?key=)
+ * returns { org, open, closed, date, now_serving, counters, on_break }
+ * Live updates: /live?display_key=<key> (SSE) or /live/ws?display_key=<key>; refetch on each event.
+ */
+router.get('/board/:slug', async (req, res, next) => {
+  try {
+    const device = await verifyDisplayKey(req.get('x-display-key') || req.query.key);
+    if (!device) return res.status(401).json({ ok:false, error:'invalid_display_key' });
+
+    const [orgRows] = await db.query(
+      `SELECT id, name, slug, photo, banner_url FROM organizations WHERE slug=? LIMIT 1`,
+      [String(req.params.slug || '').toLowerCase()]
+    );
+    const org = orgRows[0];
+    // a key only opens its own org's board
+    if (!org || Number(org.id) !== Number(device.org_id)) return res.status(404).json({ ok:false, error:'org_not_found' });
 
-    res.json({ ok:true, org_id, booking_id: booking?.id || booking_id || null, org, booking, metrics });
+    const state = await openState(org.id);
+    const board = await buildBoard(org);
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      ok:true,
+      org,
+      open: state.open,
+      closed: state.open ? null : { until: state.until, reason: state.reason },
+      ...board
+    });
   } catch (e) { next(e); }
 });
 
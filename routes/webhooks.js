@@ -1,9 +1,18 @@
 // routes/webhooks.js — Razorpay webhook handler
-// Updates org_billing.status, rzp_* fields, and organizations.subscription_status
+// Updates org_billing.status, rzp_* fields, and organizations.subscription_status; subscription
+// charges get a payment receipt (services/paymentReceipts, once per payment id)
+// Messaging providers: /twilio, /whatsapp (Cloud API), /360dialog — delivery receipts update
+// notifications by provider_msg_id; customer replies go to inbound_messages (services/conversations)
+// and keyword replies are answered (services/inboundCommands).
 
 const express = require('express');
 const crypto = require('crypto');
 const db = require("../services/db");
+const { getProvider } = require('../services/providers');
+const { applyDeliveryStatus } = require('../services/notifications');
+const { recordInbound } = require('../services/conversations');
+const { handleInbound } = require('../services/inboundCommands');
+const { sendReceipt } = require('../services/paymentReceipts');
 
 const router = express.Router();
 
@@ -48,6 +57,10 @@ router.post('/razorpay', express.raw({ type: '*/*' }), async (req, res) => {
         newStatus = 'active';
         periodEnd = sub?.current_end ? new Date(sub.current_end * 1000) : null;
         break;
+      case 'subscription.charged':
+        newStatus = 'active';
+        periodEnd = sub?.current_end ? new Date(sub.current_end * 1000) : null;
+        break;
       case 'invoice.paid':
         newStatus = 'active';
         chargeAt = inv?.period_end ? new Date(inv.period_end * 1000) : null;
@@ -104,6 +117,12 @@ router.post('/razorpay', express.raw({ type: '*/*' }), async (req, res) => {
       await db.query(`UPDATE organizations SET subscription_status=? WHERE id=?`, [newStatus, orgId]);
     }
 
+    // Razorpay sends both for a renewal; the payment id keeps it to one receipt.
+    // Not awaited: sendReceipt never rejects (it logs its own failures).
+    if (orgId && pay?.id && (type === 'subscription.charged' || type === 'invoice.paid')) {
+      sendReceipt(orgId, { order_id: pay.order_id || inv?.order_id || null, payment_id: pay.id, amount_paise: pay.amount ?? null });
+    }
+
     res.json({ ok:true });
   } catch (e) {
     console.error('[Webhook] error', e);
@@ -111,5 +130,60 @@ router.post('/razorpay', express.raw({ type: '*/*' }), async (req, res) => {
   }
 });
 
+/* ----------------------------- messaging providers ----------------------------- */
+
+/** Public URL the provider called (Twilio signs it); set WEBHOOK_BASE_URL when a proxy rewrites host/scheme */
+function publicUrl(req) {
+  const base = process.env.WEBHOOK_BASE_URL
+    ? process.env.WEBHOOK_BASE_URL.replace(/\/+$/, '')
+    : `${req.protocol}://${req.get('host')}`;
+  return `${base}${req.originalUrl}`;
+}
+
+/** Verify, then apply every receipt and store every reply in the payload */
+function providerWebhook(providerKey) {
+  return async (req, res) => {
+    try {
+      const adapter = getProvider(providerKey);
+      const params = adapter.name === 'twilio' ? (req.body || {}) : (req.query || {});
+      const verified = adapter.verifyWebhook({ headers: req.headers, rawBody: req.rawBody, url: publicUrl(req), params });
+      if (!verified) return res.status(400).json({ ok:false, error:'signature_mismatch' });
+
+      const { statuses, messages } = adapter.parseWebhook(req.body || {});
+      let updated = 0;
+      let stored = 0;
+      for (const st of statuses) {
+        if (await applyDeliveryStatus(st)) updated++;
+      }
+      for (const m of messages) {
+        const row = await recordInbound(adapter.name, m);
+        if (!row) continue; // provider re-delivery
+        stored++;
+        await handleInbound(adapter.name, row); // STATUS / CANCEL / LATE / JOIN keywords
+      }
+
+      // Twilio expects TwiML; an empty Response sends no auto-reply
+      if (adapter.name === 'twilio') return res.type('text/xml').send('<Response></Response>');
+      res.json({ ok:true, updated, stored });
+    } catch (e) {
+      console.error(`[Webhook] ${providerKey} error`, e);
+      // non-2xx makes the provider retry later
+      res.status(500).json({ ok:false, error:'webhook_error' });
+    }
+  };
+}
+
+// Cloud API subscription handshake (GET with hub.challenge)
+router.get('/whatsapp', (req, res) => {
+  if (!getProvider('cloudapi').verifySubscription(req.query || {})) {
+    return res.status(403).json({ ok:false, error:'verify_token_mismatch' });
+  }
+  res.type('text/plain').send(String(req.query['hub.challenge'] || ''));
+});
+
+router.post('/twilio', providerWebhook('twilio'));
+router.post('/whatsapp', providerWebhook('cloudapi'));
+router.post('/360dialog', providerWebhook('d360'));
+
 module.exports = router;
 module.exports.default = router;
@@ -6,6 +6,7 @@
 // Requires db.js exported query(sql, params) -> Promise
 
 const db = require('../db');
+const usage = require('../services/usage');
 const DAYS_IN_PERIOD = 30;
 const GRACE_DAYS = 31; // after due date to restrict access
 
@@ -23,12 +24,9 @@ async function getActiveSubscriptions() {
   return await db.query('SELECT * FROM org_subscriptions');
 }
 
+// metered per-day usage (services/usage); the rollup for the period runs once in run()
 async function getMessageUsageForOrg(orgId, fromDate, toDate) {
-  const rows = await db.query(
-    'SELECT SUM(bookings_count) AS bookings_sum, SUM(messages_sent) AS messages_sum, SUM(cost) AS cost_sum FROM message_usage WHERE org_id = ? AND date_for >= ? AND date_for <= ?',
-    [orgId, fromDate, toDate]
-  );
-  return rows && rows[0] ? rows[0] : { bookings_sum: 0, messages_sum: 0, cost_sum: 0 };
+  return usage.totals(orgId, fromDate, toDate);
 }
 
 async function createBillingEvent(orgSubscriptionId, type, amount, scheduledAt, result) {
@@ -74,6 +72,14 @@ async function run() {
   const fromDateStr = fromDate.toISOString().slice(0,10);
 
   console.log(`Aggregating message usage from ${fromDateStr} to ${toDateStr}`);
+  // a failed rollup only leaves bookings_count stale: every send already added to the daily rows
+  let fresh = true;
+  try {
+    await usage.rollup({ from: fromDateStr, to: toDateStr });
+  } catch (err) {
+    fresh = false;
+    console.error('Usage rollup failed, billing from the daily rows as they are:', err.message);
+  }
 
   const subs = await getActiveSubscriptions();
   const summary = [];
@@ -95,8 +101,16 @@ async function run() {
 
       const monthlyPlatformFeeTotal = parseFloat((monthlyPerUser * expectedUsers).toFixed(2));
 
-      // message usage aggregation for last 30 days
-      const usage = await getMessageUsageForOrg(orgId, fromDateStr, toDateStr);
+      // message usage aggregation for last 30 days; the estimate below covers an unreadable usage table
+      let metered = true;
+      let usage;
+      try {
+        usage = await getMessageUsageForOrg(orgId, fromDateStr, toDateStr);
+      } catch (err) {
+        metered = false;
+        usage = { bookings_sum: 0, cost_sum: 0 };
+        console.error(`[${orgId}] usage totals failed, using estimated message costs:`, err.message);
+      }
       const actualBookings = parseInt(usage.bookings_sum || 0, 10);
       const actualMessagesCost = parseFloat(usage.cost_sum || 0);
       // if no usage rows, estimate using expectedBookingsPerDay if it exists
@@ -127,7 +141,7 @@ async function run() {
 
       // create billing_event and payment (pending). Actual charge will be done by payments worker/integration.
       const scheduledAt = new Date().toISOString();
-      const billingEventId = await createBillingEvent(subId, 'monthly_charge', amountDue, scheduledAt, { details: `period ${fromDateStr}..${toDateStr}`, expected_users: expectedUsers, actual_bookings: actualBookings });
+      const billingEventId = await createBillingEvent(subId, 'monthly_charge', amountDue, scheduledAt, { details: `period ${fromDateStr}..${toDateStr}`, expected_users: expectedUsers, actual_bookings: actualBookings, metered, usage_fresh: fresh });
 
       const paymentId = await createPayment(subId, amountDue, 'INR', 'autopay', { billing_event_id: billingEventId, period_start: fromDateStr, period_end: toDateStr });
 
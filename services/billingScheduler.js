@@ -1,6 +1,9 @@
 // services/billingScheduler.js
+// 'full' plans pay for the messages actually sent in the last 30 days (services/usage); the
+// expected_bookings_per_day estimate is only used when metering has no data (table missing).
 const Razorpay = require('razorpay');
 const db = require("../services/db");
+const usage = require('./usage');
 
 const rzp = new Razorpay({
   key_id: process.env.RAZORPAY_KEY_ID || '',
@@ -20,10 +23,11 @@ async function getCharges(){
   }catch(_){}
   return { annual_fee:1000, monthly_platform_fee_per_user:150, message_cost_per_booking:0.5 };
 }
-function calcMonthly({ plan_mode, users_count, expected_bookings_per_day }, charges){
+function calcMonthly({ plan_mode, users_count, expected_bookings_per_day, metered_cost = null }, charges){
   const users=Math.max(1,Number(users_count)||1);
   const perDay=Math.max(0,Number(expected_bookings_per_day)||0);
   if (plan_mode==='semi') return charges.monthly_platform_fee_per_user * users;
+  if (plan_mode==='full' && metered_cost!=null) return Math.round(metered_cost);
   if (plan_mode==='full') return Math.round(charges.message_cost_per_booking * perDay * 30);
   return 0;
 }
@@ -43,11 +47,19 @@ async function runOnce() {
      WHERE b.rzp_subscription_id IS NOT NULL
   `);
   if (!rows.length){ log('no subs'); return; }
+  const period = usage.lastPeriod();
+  // without a fresh rollup the daily rows are still current for messages (only bookings_count lags)
+  try{ await usage.rollup(period); }catch(e){ err('usage rollup failed', e?.message||e); }
   let upd=0, ok=0, skip=0;
   for (const r of rows){
     if (r.plan_mode==='trial' || !r.sub_id){ skip++; continue; }
+    let metered_cost = null;
+    if (r.plan_mode==='full'){
+      try{ metered_cost = (await usage.totals(r.org_id, period.from, period.to)).cost_sum; }
+      catch(e){ err(`usage totals failed for org ${r.org_id}`, e?.message||e); }
+    }
     const desired = calcMonthly(
-      { plan_mode:r.plan_mode, users_count:r.users_count, expected_bookings_per_day:r.expected_bookings_per_day },
+      { plan_mode:r.plan_mode, users_count:r.users_count, expected_bookings_per_day:r.expected_bookings_per_day, metered_cost },
       charges
     );
     const desiredPaise = Math.max(0, Math.round(desired))*100;
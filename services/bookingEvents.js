@@ -0,0 +1,25 @@
+// services/bookingEvents.js — audit trail of who did what to a booking (booking_events)
+
+/**
+ * Append one audit row on `conn` (db or a transaction connection), so the entry commits with the change.
+ * actor: 'customer' | 'staff' | 'system'
+ */
+async function recordBookingEvent(conn, { booking, action, actor, actor_user_id = null, details = null }) {
+  await conn.query(
+    `INSERT INTO booking_events (booking_id, org_id, action, actor, actor_user_id, details, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+    [booking.id, booking.org_id, action, actor, actor_user_id, details ? JSON.stringify(details) : null]
+  );
+}
+
+/** Audit rows for one booking, oldest first */
+async function listBookingEvents(conn, booking_id) {
+  const [rows] = await conn.query(
+    `SELECT id, action, actor, actor_user_id, details, created_at
+       FROM booking_events WHERE booking_id = ? ORDER BY id ASC`,
+    [booking_id]
+  );
+  return rows;
+}
+
+module.exports = { recordBookingEvent, listBookingEvents };
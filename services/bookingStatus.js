@@ -0,0 +1,21 @@
+// services/bookingStatus.js — booking status groups and call order shared by queue, ETA and live snapshots
+
+// 'confirmed' is the legacy waiting status still offered by booking-details.html
+const WAITING = ['pending', 'confirmed'];
+// at the counter
+const ACTIVE = ['called', 'serving'];
+// terminal states a booking can no longer be cancelled from
+const CLOSED = ['served', 'no_show', 'cancelled'];
+
+/**
+ * SQL for a waiting booking's place in line: token order, unless bookings.queue_rank
+ * moved it (a customer running late). `cols` is the bookings column Set.
+ */
+function rankSql(cols) {
+  return cols.has('queue_rank') ? 'COALESCE(queue_rank, token_number)' : 'token_number';
+}
+
+/** The same rank for a loaded booking row */
+const rankOf = (b) => Number(b.queue_rank ?? b.token_number);
+
+module.exports = { WAITING, ACTIVE, CLOSED, rankSql, rankOf };
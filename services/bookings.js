@@ -0,0 +1,150 @@
+// services/bookings.js — booking creation shared by staff (/bookings) and self-service (/public)
+
+const dayjs = require('dayjs');
+const db = require('./db');
+const { allocateToken } = require('./tokens');
+const { parseSlot, computeSlots } = require('./slots');
+const { openWindows, openState } = require('./hours');
+const { publish } = require('./liveBus');
+const { buildStatusLink } = require('./messaging');
+const { notify } = require('./notificationRules');
+const { recordOptIn, optOut } = require('./messagePolicy');
+
+const num = (x, d = 0) => {
+  const n = Number(x);
+  return Number.isFinite(n) ? n : d;
+};
+
+const isDate = (s) => /^\d{4}-\d{2}-\d{2}$/.test(String(s || '')) && dayjs(s).isValid();
+
+/** Error with an HTTP status; `details` is merged into the JSON error body */
+function bookingError(statusCode, message, details) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (details) err.details = details;
+  return err;
+}
+
+async function getTableColumns(table) {
+  const [rows] = await db.query(
+    `SELECT column_name FROM information_schema.columns
+     WHERE table_schema = DATABASE() AND table_name = ?`,
+    [table]
+  );
+  return new Set(rows.map(r => r.column_name));
+}
+
+/**
+ * Validate the requested slot against the day's slots.
+ * Walk-ins (no slot) are only allowed for today when the day has slot templates.
+ */
+function checkSlot(slots, slot, isToday) {
+  if (!slots.length) {
+    if (slot) throw bookingError(400, 'no_slots_configured');
+    return;
+  }
+  if (!slot) {
+    if (!isToday) throw bookingError(400, 'slot_required');
+    return;
+  }
+  const s = slots.find(x => x.start === slot);
+  if (!s) throw bookingError(400, 'invalid_slot');
+  if (s.available <= 0) throw bookingError(409, s.past ? 'slot_in_past' : 'slot_full');
+}
+
+/**
+ * Create a booking and allocate its token.
+ * input: { org_id, user_name, user_phone, assigned_user_id?, booking_date?, slot? (HH:mm),
+ *          scheduled_at?, items?, department?, division? }
+ * Returns { id, token_number, booking_date, scheduled_at, status_link } (signed link, see messaging.buildStatusLink).
+ * Throws errors with statusCode 400/409 for invalid input, closed org, full slot or token clash.
+ */
+async function createBooking(input) {
+  const b = input || {};
+  const org_id = num(b.org_id);
+  const user_name = String(b.user_name || '').trim();
+  const user_phone = String(b.user_phone || '').trim();
+  const assigned_user_id = b.assigned_user_id ? num(b.assigned_user_id) : null;
+  if (!org_id || !user_name || !user_phone) {
+    throw bookingError(400, 'org_id, user_name, user_phone required');
+  }
+
+  const now = dayjs();
+  const today = now.format('YYYY-MM-DD');
+  const booking_date = b.booking_date ? String(b.booking_date) : today;
+  if (!isDate(booking_date) || booking_date < today) {
+    throw bookingError(400, 'booking_date must be today or later (YYYY-MM-DD)');
+  }
+  const slot = b.slot ? parseSlot(b.slot) : null;
+  if (b.slot && !slot) throw bookingError(400, 'slot must be HH:mm');
+
+  const scheduled_at = slot
+    ? `${booking_date} ${slot}:00`
+    : b.scheduled_at && dayjs(b.scheduled_at).isValid()
+      ? dayjs(b.scheduled_at).format('YYYY-MM-DD HH:mm:ss')
+      : null;
+
+  // walk-ins need the org open now (today) or on that day (advance); slots are checked against hours below
+  if (!slot) {
+    if (booking_date === today) {
+      const state = await openState(org_id, now);
+      if (!state.open) throw bookingError(409, 'org_closed', { until: state.until, reason: state.reason });
+    } else if (!(await openWindows(org_id, booking_date)).length) {
+      throw bookingError(409, 'org_closed', { date: booking_date });
+    }
+  }
+
+  const fields = {
+    org_id, user_name, user_phone,
+    assigned_user_id, booking_date, scheduled_at,
+    status: 'pending', token_number: null, created_at: now.format('YYYY-MM-DD HH:mm:ss')
+  };
+
+  const cols = await getTableColumns('bookings');
+  if (cols.has('items') && b.items) fields.items = JSON.stringify(b.items);
+  if (cols.has('department') && b.department) fields.department = String(b.department);
+  if (cols.has('division') && b.division) fields.division = String(b.division);
+  if (cols.has('language') && b.language) fields.language = String(b.language).toLowerCase().slice(0, 12);
+
+  // next token: the counter row stays locked until the booking row is in
+  let r;
+  try {
+    r = await db.withTransaction(async (conn) => {
+      fields.token_number = await allocateToken(conn, { org_id, booking_date, assigned_user_id });
+
+      // slot capacity is checked under the same counter lock, so two bookings can't both take the last seat
+      const slots = await computeSlots({ org_id, assigned_user_id, date: booking_date, conn });
+      checkSlot(slots, slot, booking_date === today);
+
+      const [ins] = await conn.query(`INSERT INTO bookings SET ?`, [fields]);
+      // the signed link needs the new id
+      fields.status_link = buildStatusLink({ org_id, booking_id: ins.insertId, booking_date });
+      if (cols.has('status_link')) {
+        await conn.query(`UPDATE bookings SET status_link = ? WHERE id = ?`, [fields.status_link, ins.insertId]);
+      }
+      return ins;
+    });
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') throw bookingError(409, 'duplicate_token');
+    throw err;
+  }
+
+  if (booking_date === today) {
+    publish('booking_created', {
+      org_id, assigned_user_id,
+      booking: { id: r.insertId, token_number: fields.token_number, status: 'pending', assigned_user_id }
+    });
+  }
+  // messaging consent: booking implies opt-in unless they said no (an earlier opt-out stays)
+  try {
+    const source = b.consent_source || 'booking';
+    if (b.messages_opt_in === false) await optOut({ org_id, phone: user_phone, source });
+    else await recordOptIn({ org_id, phone: user_phone, source });
+  } catch (err) {
+    console.warn('[bookings] could not record messaging consent:', err.message);
+  }
+  await notify('booking_created', { ...fields, id: r.insertId });
+  return { id: r.insertId, token_number: fields.token_number, booking_date, scheduled_at, status_link: fields.status_link };
+}
+
+module.exports = { bookingError, createBooking };
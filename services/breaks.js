@@ -0,0 +1,38 @@
+// services/breaks.js — per-assignee breaks for today (assigned_live_metrics), announced to live clients
+
+const dayjs = require('dayjs');
+const db = require('./db');
+const { publish } = require('./liveBus');
+
+const num = (x, d = 0) => { const n = Number(x); return Number.isFinite(n) ? n : d; };
+
+/** Start (or extend) a break of `minutes`; returns { break_until } */
+async function startBreak({ org_id, assigned_user_id, minutes = 15 }) {
+  const booking_date = dayjs().format('YYYY-MM-DD');
+  const until = new Date(Date.now() + num(minutes, 15) * 60000);
+
+  await db.query(
+    `INSERT INTO assigned_live_metrics
+     (org_id, assigned_user_id, booking_date, break_started_at, break_until, updated_at)
+     VALUES (?,?,?,?,?, NOW())
+     ON DUPLICATE KEY UPDATE break_started_at=VALUES(break_started_at),
+                             break_until=VALUES(break_until),
+                             updated_at=NOW()`,
+    [org_id, assigned_user_id, booking_date, new Date(), until]
+  );
+  publish('break_started', { org_id: num(org_id), assigned_user_id: num(assigned_user_id), break_until: until });
+  return { break_until: until };
+}
+
+async function endBreak({ org_id, assigned_user_id }) {
+  const booking_date = dayjs().format('YYYY-MM-DD');
+  await db.query(
+    `UPDATE assigned_live_metrics
+     SET break_until = NULL, break_started_at = NULL, updated_at = NOW()
+     WHERE org_id = ? AND assigned_user_id = ? AND booking_date = ?`,
+    [org_id, assigned_user_id, booking_date]
+  );
+  publish('break_ended', { org_id: num(org_id), assigned_user_id: num(assigned_user_id) });
+}
+
+module.exports = { startBreak, endBreak };
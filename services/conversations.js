@@ -0,0 +1,82 @@
+// services/conversations.js — customer replies from provider webhooks, and the per-phone conversation log
+// A reply is filed under the org/booking of the latest message we sent to that phone in the last
+// CONVERSATION_MATCH_DAYS (default 30); with one shared sender number that is the best signal there is.
+
+const db = require('./db');
+const { digitsOnly } = require('../util/phone');
+const { bodySql } = require('./notifications');
+
+const num = (x, d = 0) => { const n = Number(x); return Number.isFinite(n) ? n : d; };
+
+const MATCH_DAYS = num(process.env.CONVERSATION_MATCH_DAYS, 30);
+
+// phones are stored as typed at booking time; compare the last 10 digits
+const phoneSql = (col) => `RIGHT(REPLACE(REPLACE(REPLACE(REPLACE(${col}, ' ', ''), '-', ''), '+', ''), '(', ''), 10)`;
+const PHONE_SQL = phoneSql('to_phone');
+
+/** { org_id, booking_id } of the latest notification sent to `phone`, or nulls */
+async function matchPhone(phone) {
+  const last10 = digitsOnly(phone).slice(-10);
+  if (last10.length < 8) return { org_id: null, booking_id: null };
+  const [rows] = await db.query(
+    `SELECT org_id, booking_id FROM notifications
+      WHERE ${PHONE_SQL} = ? AND created_at >= NOW() - INTERVAL ? DAY
+      ORDER BY id DESC LIMIT 1`,
+    [last10, MATCH_DAYS]
+  );
+  return { org_id: rows[0]?.org_id ?? null, booking_id: rows[0]?.booking_id ?? null };
+}
+
+/**
+ * Store one inbound message (see providers/base parseWebhook).
+ * Returns the stored row, or null when the provider re-delivered one we already have.
+ */
+async function recordInbound(provider, m) {
+  const { org_id, booking_id } = await matchPhone(m.from);
+  const row = {
+    org_id,
+    booking_id,
+    provider,
+    channel: m.channel || 'whatsapp',
+    from_phone: digitsOnly(m.from).slice(0, 20),
+    to_phone: m.to ? digitsOnly(m.to).slice(0, 20) : null,
+    contact_name: m.name ? String(m.name).slice(0, 120) : null,
+    body: String(m.body || ''),
+    provider_msg_id: m.provider_msg_id || null,
+    received_at: m.at || new Date()
+  };
+  const [r] = await db.query('INSERT IGNORE INTO inbound_messages SET ?', [row]);
+  if (!r.affectedRows) return null;
+  return { id: r.insertId, ...row };
+}
+
+/**
+ * Both directions for one phone within an org, oldest first:
+ * [{ direction: 'out' | 'in', id, body, at, status?, delivery_status?, event? }]
+ */
+async function listConversation({ org_id, phone, limit = 100 }) {
+  const last10 = digitsOnly(phone).slice(-10);
+  if (last10.length < 8) return [];
+  const [out] = await db.query(
+    `SELECT id, event, ${bodySql()}, status, delivery_status, created_at, sent_at, delivered_at, read_at
+       FROM notifications
+      WHERE org_id = ? AND ${PHONE_SQL} = ?
+      ORDER BY id DESC LIMIT ?`,
+    [org_id, last10, limit]
+  );
+  const [inb] = await db.query(
+    `SELECT id, body, contact_name, received_at
+       FROM inbound_messages
+      WHERE org_id = ? AND RIGHT(from_phone, 10) = ?
+      ORDER BY id DESC LIMIT ?`,
+    [org_id, last10, limit]
+  );
+  return [
+    ...out.map(n => ({ direction: 'out', ...n, at: n.sent_at || n.created_at })),
+    ...inb.map(m => ({ direction: 'in', ...m, at: m.received_at }))
+  ]
+    .sort((a, b) => new Date(a.at) - new Date(b.at))
+    .slice(-limit);
+}
+
+module.exports = { phoneSql, matchPhone, recordInbound, listConversation };
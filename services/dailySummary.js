@@ -0,0 +1,104 @@
+// services/dailySummary.js — end-of-day email to each org's admins (services/email, kind daily_summary)
+// Only orgs with bookings that day get one, and each admin gets it once per day (email dedupe_key),
+// so running it on several instances is safe.
+//   DAILY_SUMMARY_AT   local time to send (default 20:00)
+//   DAILY_SUMMARY=off  do not schedule on this instance
+
+const dayjs = require('dayjs');
+const db = require('./db');
+const { emailOrgAdmins } = require('./email');
+const { WAITING, ACTIVE } = require('./bookingStatus');
+
+const num = (x, d = 0) => { const n = Number(x); return Number.isFinite(n) ? n : d; };
+
+let timer = null;
+
+/** Counts for one org and date: { total, served, no_show, cancelled, waiting, avg_wait_minutes, messages_sent } */
+async function summaryFor(org_id, date) {
+  const open = [...WAITING, ...ACTIVE];
+  const [[b]] = await db.query(
+    `SELECT COUNT(*) AS total,
+            SUM(status = 'served') AS served,
+            SUM(status = 'no_show') AS no_show,
+            SUM(status = 'cancelled') AS cancelled,
+            SUM(status IN (${open.map(() => '?').join(',')})) AS waiting,
+            AVG(CASE WHEN called_at IS NOT NULL AND created_at IS NOT NULL
+                     THEN TIMESTAMPDIFF(SECOND, created_at, called_at) END) AS avg_wait_seconds
+       FROM bookings WHERE org_id = ? AND booking_date = ?`,
+    [...open, org_id, date]
+  );
+  const [[n]] = await db.query(
+    `SELECT COUNT(*) AS sent FROM notifications WHERE org_id = ? AND status = 'sent' AND DATE(sent_at) = ?`,
+    [org_id, date]
+  );
+  return {
+    total: num(b?.total),
+    served: num(b?.served),
+    no_show: num(b?.no_show),
+    cancelled: num(b?.cancelled),
+    waiting: num(b?.waiting),
+    avg_wait_minutes: b?.avg_wait_seconds == null ? 0 : Math.round(num(b.avg_wait_seconds) / 60),
+    messages_sent: num(n?.sent)
+  };
+}
+
+/** Email the summary for `date` (default today) to every active org with bookings; resolves to { orgs, emails } */
+async function runOnce(date = dayjs().format('YYYY-MM-DD')) {
+  const [orgs] = await db.query(
+    `SELECT o.id, o.name FROM organizations o
+      WHERE COALESCE(o.is_active, 1) <> 0
+        AND EXISTS (SELECT 1 FROM bookings b WHERE b.org_id = o.id AND b.booking_date = ?)`,
+    [date]
+  );
+  let emails = 0;
+  for (const org of orgs) {
+    try {
+      const s = await summaryFor(org.id, date);
+      emails += await emailOrgAdmins({
+        org_id: org.id,
+        kind: 'daily_summary',
+        dedupe_key: `daily_summary:${org.id}:${date}`,
+        vars: { org_name: org.name, date: dayjs(date).format('D MMM YYYY'), ...s }
+      });
+    } catch (err) {
+      console.warn(`[summary] org ${org.id} failed:`, err.message);
+    }
+  }
+  return { orgs: orgs.length, emails };
+}
+
+/** ms until the next DAILY_SUMMARY_AT */
+function msToNext(at = process.env.DAILY_SUMMARY_AT || '20:00') {
+  const [h, m] = String(at).split(':').map(x => num(x));
+  const now = dayjs();
+  let next = now.hour(h).minute(m || 0).second(0).millisecond(0);
+  if (!next.isAfter(now)) next = next.add(1, 'day');
+  return next.diff(now);
+}
+
+function schedule() {
+  timer = setTimeout(async () => {
+    try {
+      const out = await runOnce();
+      console.log(`[summary] sent ${out.emails} email(s) for ${out.orgs} org(s)`);
+    } catch (err) {
+      console.warn('[summary] run failed:', err.message);
+    } finally {
+      if (timer) schedule();
+    }
+  }, msToNext());
+  timer.unref();
+}
+
+function start() {
+  if (timer || String(process.env.DAILY_SUMMARY || '').toLowerCase() === 'off') return;
+  schedule();
+  console.log(`[summary] daily summary emails at ${process.env.DAILY_SUMMARY_AT || '20:00'}`);
+}
+
+function stop() {
+  clearTimeout(timer);
+  timer = null;
+}
+
+module.exports = { summaryFor, runOnce, start, stop };
@@ -26,8 +26,25 @@ async function query(sql, params) {
   return pool.query(sql, params);
 }
 
+/** Run fn(conn) inside BEGIN/COMMIT on a dedicated connection; rolls back on throw */
+async function withTransaction(fn) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const out = await fn(conn);
+    await conn.commit();
+    return out;
+  } catch (err) {
+    try { await conn.rollback(); } catch {}
+    throw err;
+  } finally {
+    conn.release();
+  }
+}
+
 module.exports = {
   pool,
   query,
+  withTransaction,
   getConnection: () => pool.getConnection()
 };
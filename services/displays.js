@@ -0,0 +1,90 @@
+// services/displays.js — waiting-room display devices and the board they show
+// A device key ("dk_…") is issued once by an org admin; only its SHA-256 is stored.
+
+const crypto = require('crypto');
+const dayjs = require('dayjs');
+const db = require('./db');
+const { queueSnapshot } = require('./queueState');
+
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+/** Create a device; returns { id, name, key } — the key is not retrievable later */
+async function issueDisplayKey({ org_id, name, created_by = null }) {
+  const key = `dk_${crypto.randomBytes(24).toString('base64url')}`;
+  const [r] = await db.query(
+    `INSERT INTO display_devices (org_id, name, key_hash, key_prefix, created_by) VALUES (?,?,?,?,?)`,
+    [org_id, String(name).slice(0, 100), hashKey(key), key.slice(0, 8), created_by]
+  );
+  return { id: r.insertId, name, key };
+}
+
+async function listDisplays(org_id) {
+  const [rows] = await db.query(
+    `SELECT id, name, key_prefix, created_by, created_at, last_seen_at, revoked_at
+       FROM display_devices WHERE org_id = ? ORDER BY created_at DESC`,
+    [org_id]
+  );
+  return rows;
+}
+
+/** Returns false when the device does not exist (or was already revoked) */
+async function revokeDisplay({ org_id, id }) {
+  const [r] = await db.query(
+    `UPDATE display_devices SET revoked_at = NOW() WHERE id = ? AND org_id = ? AND revoked_at IS NULL`,
+    [id, org_id]
+  );
+  return r.affectedRows > 0;
+}
+
+/** Resolve an active key to { id, org_id, name } (and touch last_seen_at), or null */
+async function verifyDisplayKey(key) {
+  if (!key || !String(key).startsWith('dk_')) return null;
+  const [rows] = await db.query(
+    `SELECT id, org_id, name FROM display_devices WHERE key_hash = ? AND revoked_at IS NULL LIMIT 1`,
+    [hashKey(key)]
+  );
+  const d = rows[0];
+  if (!d) return null;
+  db.query(`UPDATE display_devices SET last_seen_at = NOW() WHERE id = ?`, [d.id]).catch(() => {});
+  return d;
+}
+
+/**
+ * Everything a waiting-room screen shows, tokens and staff display names only:
+ * { now_serving, counters: [{ assigned_user_id, name, dept, now_serving, serving, next_tokens,
+ *   waiting_count, on_break, break_until }], on_break: [{ assigned_user_id, name, break_until }] }
+ */
+async function buildBoard(org) {
+  const snap = await queueSnapshot({ org_id: org.id });
+  const [staff] = await db.query(`SELECT id, name, dept FROM org_users WHERE org_id = ?`, [org.id]);
+  const byId = new Map(staff.map(s => [Number(s.id), s]));
+  const now = dayjs();
+  const onBreak = (until) => !!until && dayjs(until).isAfter(now);
+
+  const counters = snap.queues.map((q) => {
+    const s = q.assigned_user_id == null ? null : byId.get(q.assigned_user_id);
+    const break_until = q.assigned_user_id == null ? snap.break_until : q.break_until;
+    return {
+      assigned_user_id: q.assigned_user_id,
+      name: s?.name || null,
+      dept: s?.dept || null,
+      now_serving: q.now_serving,
+      serving: q.active_tokens.map(t => t.token_number),
+      next_tokens: q.next_tokens,
+      waiting_count: q.waiting_count,
+      on_break: onBreak(break_until),
+      break_until: onBreak(break_until) ? break_until : null
+    };
+  });
+
+  return {
+    date: snap.date,
+    now_serving: snap.now_serving,
+    counters,
+    on_break: counters
+      .filter(c => c.on_break)
+      .map(({ assigned_user_id, name, break_until }) => ({ assigned_user_id, name, break_until }))
+  };
+}
+
+module.exports = { issueDisplayKey, listDisplays, revokeDisplay, verifyDisplayKey, buildBoard };
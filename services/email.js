@@ -0,0 +1,174 @@
+// services/email.js — transactional email over SMTP (password reset, staff invites, receipts, summaries)
+// Every message is logged in email_messages (sending -> sent | failed) without its body. These are
+// the platform's own emails, so they are not metered or billed to the org (services/usage).
+// A dedupe_key makes a send happen at most once per recipient, even with several instances running.
+//   SMTP_HOST     default smtp.gmail.com; point at a local fake SMTP server in tests
+//   SMTP_PORT     default 465
+//   SMTP_SECURE   TLS from the start (default: true on port 465)
+//   EMAIL_USER / EMAIL_PASS   SMTP login; leave unset for servers without auth
+//   EMAIL_FROM    default "APP_NAME <EMAIL_USER>"
+//   EMAIL=off     log and skip every send (status 'failed', error 'email_disabled')
+//   PASSWORD_RESET_URL   page that takes ?token= and calls POST /auth/confirm-reset
+//                        (default APP_URL/reset-password); invites use it too
+
+const nodemailer = require('nodemailer');
+const db = require('./db');
+const { renderEmail, APP_NAME } = require('./emailTemplates');
+
+const num = (x, d = 0) => { const n = Number(x); return Number.isFinite(n) ? n : d; };
+
+const env = () => {
+  const port = num(process.env.SMTP_PORT, 465);
+  return {
+    host: process.env.SMTP_HOST || 'smtp.gmail.com',
+    port,
+    secure: process.env.SMTP_SECURE == null ? port === 465 : /^(1|true|yes)$/i.test(process.env.SMTP_SECURE),
+    user: process.env.EMAIL_USER,
+    pass: process.env.EMAIL_PASS,
+    from: process.env.EMAIL_FROM || (process.env.EMAIL_USER ? `${APP_NAME} <${process.env.EMAIL_USER}>` : null),
+    off: String(process.env.EMAIL || '').toLowerCase() === 'off'
+  };
+};
+
+/** A sender address and either a login or an explicit (local) SMTP_HOST */
+function configured() {
+  const e = env();
+  return !e.off && !!e.from && (!!(e.user && e.pass) || !!process.env.SMTP_HOST);
+}
+
+let transport = null;
+let transportKey = null;
+
+function getTransport() {
+  const e = env();
+  const key = `${e.host}:${e.port}:${e.secure}:${e.user || ''}`;
+  if (!transport || transportKey !== key) {
+    transport = nodemailer.createTransport({
+      host: e.host,
+      port: e.port,
+      secure: e.secure,
+      ...(e.user ? { auth: { user: e.user, pass: e.pass } } : {})
+    });
+    transportKey = key;
+  }
+  return transport;
+}
+
+function emailError(statusCode, message, details) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (details) err.details = details;
+  return err;
+}
+
+/** Link to the set-password page for a users.reset_token */
+function passwordLink(token, params = {}) {
+  const base = process.env.PASSWORD_RESET_URL || `${process.env.APP_URL || 'http://localhost:5008'}/reset-password`;
+  const url = new URL(base);
+  url.searchParams.set('token', token);
+  for (const [k, v] of Object.entries(params)) url.searchParams.set(k, v);
+  return url.toString();
+}
+
+const validEmail = (s) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(s || ''));
+
+/**
+ * Render and send one email.
+ * Resolves to { id, message_id }, or null when dedupe_key was already used for this recipient.
+ * Throws 400 invalid_email, 503 email_not_configured or 502 email_failed (the log row says why).
+ */
+async function sendEmail({ to, kind, vars = {}, org_id = null, user_id = null, dedupe_key = null }) {
+  to = String(to || '').trim().toLowerCase();
+  if (!validEmail(to)) throw emailError(400, 'invalid_email');
+  const msg = renderEmail(kind, vars);
+
+  const [r] = await db.query(
+    `INSERT IGNORE INTO email_messages (org_id, user_id, kind, to_email, subject, status, dedupe_key)
+     VALUES (?, ?, ?, ?, ?, 'sending', ?)`,
+    [org_id, user_id, kind, to, msg.subject.slice(0, 255), dedupe_key ? `${dedupe_key}:${to}`.slice(0, 190) : null]
+  );
+  if (!r.affectedRows) return null;
+  const id = r.insertId;
+
+  const fail = async (code, err) => {
+    await db.query(
+      `UPDATE email_messages SET status = 'failed', error = ? WHERE id = ?`,
+      [String(err?.message || code).slice(0, 255), id]
+    );
+    const e = emailError(code === 'email_failed' ? 502 : 503, code, { id });
+    if (err?.code) e.code = err.code;
+    return e;
+  };
+
+  if (!configured()) throw await fail(env().off ? 'email_disabled' : 'email_not_configured');
+  let info;
+  try {
+    info = await getTransport().sendMail({ from: env().from, to, ...msg });
+  } catch (err) {
+    throw await fail('email_failed', err);
+  }
+
+  // the mail is out: a logging error must not report it as failed
+  try {
+    await db.query(
+      `UPDATE email_messages SET status = 'sent', message_id = ?, sent_at = NOW() WHERE id = ?`,
+      [info.messageId || null, id]
+    );
+  } catch (err) {
+    console.warn(`[email] ${kind} ${id} sent but not marked sent:`, err.message);
+  }
+  return { id, message_id: info.messageId || null };
+}
+
+/** Emails of the org's admins (users.org_id, and user_orgs when that table exists) */
+async function orgAdminEmails(org_id) {
+  const [rows] = await db.query(
+    `SELECT DISTINCT u.email FROM users u
+      WHERE u.email IS NOT NULL AND u.email <> '' AND u.role IN ('admin', 'organization_admin')
+        AND (u.org_id = ? OR u.id IN (SELECT uo.user_id FROM user_orgs uo WHERE uo.org_id = ?))`,
+    [org_id, org_id]
+  ).catch(() => db.query(
+    `SELECT DISTINCT email FROM users
+      WHERE email IS NOT NULL AND email <> '' AND role IN ('admin', 'organization_admin') AND org_id = ?`,
+    [org_id]
+  ));
+  return rows.map(r => r.email);
+}
+
+/**
+ * Send `kind` to every admin of the org. Resolves to the number sent; never throws, failures are
+ * in email_messages. Used after actions that already happened (payments, the daily summary).
+ */
+async function emailOrgAdmins({ org_id, kind, vars, dedupe_key = null }) {
+  let sent = 0;
+  try {
+    for (const to of await orgAdminEmails(org_id)) {
+      try {
+        if (await sendEmail({ to, kind, vars, org_id, dedupe_key })) sent++;
+      } catch (err) {
+        console.warn(`[email] ${kind} to ${to} for org ${org_id} failed:`, err.code || err.message);
+      }
+    }
+  } catch (err) {
+    console.warn(`[email] ${kind} for org ${org_id} failed:`, err.message);
+  }
+  return sent;
+}
+
+/** Log rows, newest first: { org_id?, kind?, status?, limit } */
+async function listEmails({ org_id = null, kind = null, status = null, limit = 200 } = {}) {
+  const where = [];
+  const params = [];
+  if (org_id) { where.push('org_id = ?'); params.push(org_id); }
+  if (kind) { where.push('kind = ?'); params.push(kind); }
+  if (status) { where.push('status = ?'); params.push(status); }
+  const [rows] = await db.query(
+    `SELECT id, org_id, user_id, kind, to_email, subject, status, message_id, error, created_at, sent_at
+       FROM email_messages ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY id DESC LIMIT ?`,
+    [...params, Math.min(Math.max(1, num(limit, 200)), 500)]
+  );
+  return rows;
+}
+
+module.exports = { configured, passwordLink, sendEmail, orgAdminEmails, emailOrgAdmins, listEmails };
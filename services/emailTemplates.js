@@ -0,0 +1,58 @@
+// services/emailTemplates.js — subject, plain text and HTML for each transactional email
+// Same {{placeholders}} as the message templates (services/templates.fill); values are HTML-escaped
+// in the HTML part, and every HTML body goes inside one shared layout.
+//   APP_NAME   product name in subjects and the footer (default EasyQue)
+
+const { fill } = require('./templates');
+
+const APP_NAME = process.env.APP_NAME || 'EasyQue';
+
+const KINDS = ['password_reset', 'staff_invite', 'payment_receipt', 'daily_summary'];
+
+const TEMPLATES = {
+  password_reset: {
+    subject: 'Reset your {{app_name}} password',
+    text: 'Hi {{name}},\n\nWe received a request to reset your {{app_name}} password. Open this link within {{expires_minutes}} minutes to choose a new one:\n{{reset_link}}\n\nIf you did not ask for this, you can ignore this email.',
+    html: '<p>Hi {{name}},</p><p>We received a request to reset your {{app_name}} password. This link works for {{expires_minutes}} minutes:</p><p><a href="{{reset_link}}">Choose a new password</a></p><p>If you did not ask for this, you can ignore this email.</p>'
+  },
+  staff_invite: {
+    subject: '{{inviter_name}} invited you to {{org_name}} on {{app_name}}',
+    text: 'Hi {{name}},\n\n{{inviter_name}} added you to {{org_name}} on {{app_name}} as {{role_label}}. Set your password within {{expires_hours}} hours to get started:\n{{invite_link}}',
+    html: '<p>Hi {{name}},</p><p>{{inviter_name}} added you to <strong>{{org_name}}</strong> on {{app_name}} as {{role_label}}.</p><p><a href="{{invite_link}}">Set your password</a> (the link works for {{expires_hours}} hours).</p>'
+  },
+  payment_receipt: {
+    subject: 'Payment received: {{amount}} for {{org_name}}',
+    text: 'Thank you! We received your payment for {{org_name}}.\n\nAmount: {{amount}}\nPlan: {{plan_mode}}\nPayment ID: {{payment_id}}\nOrder ID: {{order_id}}\nDate: {{paid_at}}',
+    html: '<p>Thank you! We received your payment for <strong>{{org_name}}</strong>.</p><table cellpadding="4"><tr><td>Amount</td><td><strong>{{amount}}</strong></td></tr><tr><td>Plan</td><td>{{plan_mode}}</td></tr><tr><td>Payment ID</td><td>{{payment_id}}</td></tr><tr><td>Order ID</td><td>{{order_id}}</td></tr><tr><td>Date</td><td>{{paid_at}}</td></tr></table>'
+  },
+  daily_summary: {
+    subject: '{{org_name}} on {{date}}: {{total}} bookings, {{served}} served',
+    text: '{{org_name}}, {{date}}\n\nBookings: {{total}}\nServed: {{served}}\nNo-shows: {{no_show}}\nCancelled: {{cancelled}}\nStill waiting: {{waiting}}\nAverage wait: {{avg_wait_minutes}} min\nMessages sent: {{messages_sent}}',
+    html: '<p><strong>{{org_name}}</strong>, {{date}}</p><table cellpadding="4"><tr><td>Bookings</td><td><strong>{{total}}</strong></td></tr><tr><td>Served</td><td>{{served}}</td></tr><tr><td>No-shows</td><td>{{no_show}}</td></tr><tr><td>Cancelled</td><td>{{cancelled}}</td></tr><tr><td>Still waiting</td><td>{{waiting}}</td></tr><tr><td>Average wait</td><td>{{avg_wait_minutes}} min</td></tr><tr><td>Messages sent</td><td>{{messages_sent}}</td></tr></table>'
+  }
+};
+
+const LAYOUT = '<!doctype html><html><body style="font-family:Arial,sans-serif;font-size:14px;color:#222">{{content}}<hr style="border:none;border-top:1px solid #ddd"><p style="font-size:12px;color:#888">{{app_name}}</p></body></html>';
+
+const escapeHtml = (v) => String(v).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+/** { subject, text, html } for one email kind; throws on an unknown kind */
+function renderEmail(kind, vars = {}) {
+  const t = TEMPLATES[kind];
+  if (!t) {
+    const err = new Error('unknown_email_kind');
+    err.statusCode = 400;
+    err.details = { kinds: KINDS };
+    throw err;
+  }
+  const all = { app_name: APP_NAME, ...vars };
+  const safe = Object.fromEntries(Object.entries(all).map(([k, v]) => [k, v == null ? v : escapeHtml(v)]));
+  return {
+    subject: fill(t.subject, all).replace(/\s+/g, ' '),
+    text: fill(t.text, all),
+    // the layout slot takes already-escaped HTML
+    html: fill(LAYOUT, { app_name: safe.app_name, content: fill(t.html, safe) })
+  };
+}
+
+module.exports = { KINDS, APP_NAME, renderEmail };
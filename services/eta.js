@@ -0,0 +1,163 @@
+// services/eta.js — queue position and estimated wait for one booking
+
+const dayjs = require('dayjs');
+const db = require('./db');
+const { WAITING, ACTIVE, rankSql, rankOf } = require('./bookingStatus');
+
+const num = (x, d = 0) => { const n = Number(x); return Number.isFinite(n) ? n : d; };
+
+const DEFAULT_SERVICE_SECONDS = num(process.env.DEFAULT_SERVICE_SECONDS, 300);
+// below this many served bookings today the spread is a flat ±30%
+const MIN_SAMPLES = 3;
+
+async function getTableColumns(table) {
+  const [rows] = await db.query(
+    `SELECT column_name FROM information_schema.columns
+     WHERE table_schema = DATABASE() AND table_name = ?`,
+    [table]
+  );
+  return new Set(rows.map(r => r.column_name));
+}
+
+/** bookings.items JSON -> [{ id, qty }] (accepts ids or { id|item_id, qty }) */
+function parseItems(raw) {
+  let items = raw;
+  if (typeof raw === 'string') {
+    try { items = JSON.parse(raw); } catch { return []; }
+  }
+  if (!Array.isArray(items)) return [];
+  return items
+    .map(it => (typeof it === 'object' && it
+      ? { id: num(it.id || it.item_id), qty: Math.max(1, num(it.qty, 1)) }
+      : { id: num(it), qty: 1 }))
+    .filter(it => it.id);
+}
+
+/** Expected seconds for each booking: its items' durations when all are known, else the average */
+function serviceSecondsFor(booking, itemSeconds, avg) {
+  const items = parseItems(booking.items);
+  if (!items.length || !items.every(it => itemSeconds.has(it.id))) return avg;
+  return items.reduce((s, it) => s + itemSeconds.get(it.id) * it.qty, 0);
+}
+
+/**
+ * Estimate the wait for `booking`.
+ *   metrics: { avg_service_seconds, break_until } for the booking's queue (org or assignee)
+ *   counters: staff serving this queue in parallel; defaults to 1 for an assignee queue
+ *             and organizations.counters for the shared queue
+ * Returns null for closed bookings or other days; otherwise
+ *   { position, people_ahead, in_service, eta_seconds, eta_range_seconds:[lo,hi],
+ *     eta_minutes:{low,high}, expected_at, confidence, basis }
+ */
+async function estimateWait({ booking, metrics = {}, counters = null }) {
+  if (!booking || ![...WAITING, ...ACTIVE].includes(booking.status)) return null;
+  const date = dayjs(booking.booking_date).format('YYYY-MM-DD');
+  if (date !== dayjs().format('YYYY-MM-DD')) return null;
+
+  const scope = booking.assigned_user_id
+    ? { sql: 'assigned_user_id = ?', params: [booking.assigned_user_id] }
+    : { sql: 'assigned_user_id IS NULL', params: [] };
+
+  if (ACTIVE.includes(booking.status)) {
+    return {
+      position: 0, people_ahead: 0, in_service: 0,
+      eta_seconds: 0, eta_range_seconds: [0, 0], eta_minutes: { low: 0, high: 0 },
+      expected_at: dayjs().toISOString(), confidence: 'high', basis: 'called'
+    };
+  }
+
+  const cols = await getTableColumns('bookings');
+  const calledAt = cols.has('called_at') ? 'called_at' : 'NULL';
+  const rank = rankSql(cols);
+
+  // skipped / cancelled / no_show / served tokens drop out by status
+  const [rows] = await db.query(
+    `SELECT id, token_number, status, items, ${calledAt} AS called_at
+       FROM bookings
+      WHERE org_id = ? AND booking_date = ? AND ${scope.sql}
+        AND status IN (${[...WAITING, ...ACTIVE].map(() => '?').join(',')})
+        AND (${rank} < ? OR status IN (${ACTIVE.map(() => '?').join(',')}))
+      ORDER BY ${rank} ASC`,
+    [booking.org_id, date, ...scope.params, ...WAITING, ...ACTIVE, rankOf(booking), ...ACTIVE]
+  );
+  const ahead = rows.filter(r => WAITING.includes(r.status) && r.id !== booking.id);
+  const inService = rows.filter(r => ACTIVE.includes(r.status));
+
+  const [stats] = await db.query(
+    `SELECT COUNT(*) AS n,
+            AVG(TIMESTAMPDIFF(SECOND, COALESCE(${calledAt}, scheduled_at), served_at)) AS avg_s,
+            STDDEV_POP(TIMESTAMPDIFF(SECOND, COALESCE(${calledAt}, scheduled_at), served_at)) AS sd_s
+       FROM bookings
+      WHERE org_id = ? AND booking_date = ? AND ${scope.sql} AND served_at IS NOT NULL`,
+    [booking.org_id, date, ...scope.params]
+  );
+  const n = num(stats[0]?.n);
+  const avg = num(metrics.avg_service_seconds) || num(stats[0]?.avg_s) || DEFAULT_SERVICE_SECONDS;
+
+  const itemSeconds = new Map();
+  const itemIds = [...new Set([...ahead, ...inService, booking].flatMap(b => parseItems(b.items).map(it => it.id)))];
+  if (itemIds.length && (await getTableColumns('org_items')).has('service_seconds')) {
+    const [its] = await db.query(
+      `SELECT id, service_seconds FROM org_items WHERE org_id = ? AND id IN (?) AND service_seconds IS NOT NULL`,
+      [booking.org_id, itemIds]
+    );
+    for (const it of its) itemSeconds.set(num(it.id), num(it.service_seconds));
+  }
+
+  if (counters == null) {
+    counters = 1;
+    if (!booking.assigned_user_id && (await getTableColumns('organizations')).has('counters')) {
+      const [o] = await db.query(`SELECT counters FROM organizations WHERE id = ?`, [booking.org_id]);
+      counters = num(o[0]?.counters, 1);
+    }
+  }
+
+  // an assignee's own break applies even when metrics are per org
+  let breakAt = metrics.break_until || null;
+  if (!breakAt && booking.assigned_user_id) {
+    const [m] = await db.query(
+      `SELECT break_until FROM assigned_live_metrics WHERE org_id = ? AND assigned_user_id = ? AND booking_date = ?`,
+      [booking.org_id, booking.assigned_user_id, date]
+    );
+    breakAt = m[0]?.break_until || null;
+  }
+
+  const now = dayjs();
+  const par = Math.max(1, num(counters, 1));
+
+  // work left: what's queued ahead, plus the remainder of whoever is at the counter
+  let work = ahead.reduce((s, b) => s + serviceSecondsFor(b, itemSeconds, avg), 0);
+  for (const b of inService) {
+    const expected = serviceSecondsFor(b, itemSeconds, avg);
+    const elapsed = b.called_at ? now.diff(dayjs(b.called_at), 'second') : expected / 2;
+    work += Math.max(0, expected - elapsed);
+  }
+  let eta = work / par;
+
+  let basis = itemSeconds.size ? 'items' : (n ? 'today_average' : 'default');
+  const breakUntil = breakAt ? dayjs(breakAt) : null;
+  if (breakUntil && breakUntil.isAfter(now)) {
+    eta += breakUntil.diff(now, 'second');
+    basis += '+break';
+  }
+
+  // spread grows with the number of services ahead (independent durations)
+  const sd = n >= MIN_SAMPLES ? num(stats[0]?.sd_s) : avg * 0.3;
+  const spread = Math.max(60, (sd * Math.sqrt(Math.max(1, ahead.length + inService.length))) / par);
+  const lo = Math.max(0, Math.round(eta - spread));
+  const hi = Math.round(eta + spread);
+
+  return {
+    position: ahead.length + 1,
+    people_ahead: ahead.length,
+    in_service: inService.length,
+    eta_seconds: Math.round(eta),
+    eta_range_seconds: [lo, hi],
+    eta_minutes: { low: Math.floor(lo / 60), high: Math.ceil(hi / 60) },
+    expected_at: now.add(Math.round(eta), 'second').toISOString(),
+    confidence: n >= 10 ? 'high' : n >= MIN_SAMPLES ? 'medium' : 'low',
+    basis
+  };
+}
+
+module.exports = { estimateWait, parseItems };
@@ -0,0 +1,88 @@
+// services/hours.js — per-org opening hours and closure calendar
+// Times are server-local, like booking_date elsewhere.
+
+const dayjs = require('dayjs');
+const db = require('./db');
+
+const FMT = 'YYYY-MM-DD HH:mm:ss';
+
+async function loadHours(org_id, conn = db) {
+  const [rows] = await conn.query(
+    `SELECT weekday, TIME_FORMAT(open_time, '%H:%i') AS open_time, TIME_FORMAT(close_time, '%H:%i') AS close_time
+       FROM org_hours WHERE org_id = ? ORDER BY weekday, open_time`,
+    [org_id]
+  );
+  return rows;
+}
+
+async function loadClosures(org_id, from, to, conn = db) {
+  const [rows] = await conn.query(
+    `SELECT id, kind, starts_at, ends_at, reason
+       FROM org_closures
+      WHERE org_id = ? AND starts_at < ? AND ends_at > ?
+      ORDER BY starts_at`,
+    [org_id, to.format(FMT), from.format(FMT)]
+  );
+  return rows.map(r => ({ ...r, starts_at: dayjs(r.starts_at), ends_at: dayjs(r.ends_at) }));
+}
+
+/** Remove [cs, ce) from each window */
+function subtract(windows, cs, ce) {
+  const out = [];
+  for (const w of windows) {
+    if (!ce.isAfter(w.start) || !cs.isBefore(w.end)) { out.push(w); continue; }
+    if (cs.isAfter(w.start)) out.push({ start: w.start, end: cs });
+    if (ce.isBefore(w.end)) out.push({ start: ce, end: w.end });
+  }
+  return out;
+}
+
+function windowsFromCalendar(hours, closures, date) {
+  const day = dayjs(date).startOf('day');
+  let windows = hours.length
+    ? hours
+        .filter(h => Number(h.weekday) === day.day())
+        .map(h => ({ start: dayjs(`${day.format('YYYY-MM-DD')} ${h.open_time}`), end: dayjs(`${day.format('YYYY-MM-DD')} ${h.close_time}`) }))
+    : [{ start: day, end: day.add(1, 'day') }];
+  for (const c of closures) windows = subtract(windows, c.starts_at, c.ends_at);
+  return windows.filter(w => w.end.isAfter(w.start));
+}
+
+/** Open periods on one date as [{ start, end }] dayjs pairs (hours minus closures) */
+async function openWindows(org_id, date, conn = db) {
+  const day = dayjs(date).startOf('day');
+  const hours = await loadHours(org_id, conn);
+  const closures = await loadClosures(org_id, day, day.add(1, 'day'), conn);
+  return windowsFromCalendar(hours, closures, day);
+}
+
+/** Is [start, end) fully inside one open window? */
+function withinWindows(windows, start, end = start) {
+  return windows.some(w => !start.isBefore(w.start) && !end.isAfter(w.end) && start.isBefore(w.end));
+}
+
+/**
+ * Calendar state at a moment.
+ * Returns { open: true } or { open: false, until, reason } where until is the next
+ * opening (null when nothing opens in the next `horizonDays`).
+ */
+async function openState(org_id, at = dayjs(), horizonDays = 60, conn = db) {
+  const from = dayjs(at);
+  const hours = await loadHours(org_id, conn);
+  const closures = await loadClosures(org_id, from.startOf('day'), from.startOf('day').add(horizonDays + 1, 'day'), conn);
+
+  const today = windowsFromCalendar(hours, closures, from);
+  if (withinWindows(today, from)) return { open: true };
+
+  const active = closures.find(c => !from.isBefore(c.starts_at) && from.isBefore(c.ends_at));
+  const reason = active ? (active.reason || active.kind) : 'outside_hours';
+
+  for (let i = 0; i <= horizonDays; i++) {
+    const next = windowsFromCalendar(hours, closures, from.add(i, 'day'))
+      .find(w => w.start.isAfter(from));
+    if (next) return { open: false, until: next.start.format(FMT), reason };
+  }
+  return { open: false, until: null, reason };
+}
+
+module.exports = { loadHours, openWindows, withinWindows, openState };
@@ -0,0 +1,302 @@
+// services/inboundCommands.js — keyword commands in customer replies (WhatsApp / SMS webhooks)
+// STATUS, CANCEL, LATE [n], JOIN <slug>, STOP, START, HELP; orgs add their own words per command
+// (org_command_aliases), e.g. local-language "रद्द" for cancel. Only short messages count as
+// commands; anything else stays in the conversation log for staff.
+// The sender's phone picks today's booking (preferring the org the conversation belongs to) and
+// commands run the same code as the status page: statusView, queue.cancel, queue.runningLate,
+// createBooking. Answers are queued for the provider dispatcher.
+// STOP / START change messaging consent (services/messagePolicy) and are never rate limited.
+//   CMD_MAX_PER_PHONE   commands per phone per 10 minutes (default 10); extra ones are ignored
+
+const dayjs = require('dayjs');
+const db = require('./db');
+const queue = require('./queue');
+const { createBooking } = require('./bookings');
+const { statusView } = require('./statusView');
+const { enqueueNotification, useProvider } = require('./notifications');
+const { sendMessage } = require('./providers');
+const { phoneSql } = require('./conversations');
+const { optIn, optOut, consentOrgs } = require('./messagePolicy');
+const { checkOrgLimits } = require('../middleware/limits');
+const { buildStatusLink } = require('./messaging');
+const { WAITING, ACTIVE } = require('./bookingStatus');
+const { digitsOnly } = require('../util/phone');
+
+const num = (x, d = 0) => { const n = Number(x); return Number.isFinite(n) ? n : d; };
+
+const COMMANDS = ['status', 'cancel', 'late', 'join', 'stop', 'start', 'help'];
+const BUILTIN = {
+  status: ['status', 'where', 'position', 'queue', 'wait'],
+  cancel: ['cancel', 'cancel booking'],
+  late: ['late', 'running late', 'delay'],
+  join: ['join'],
+  stop: ['stop', 'stop all', 'unsubscribe', 'opt out'],
+  start: ['start', 'subscribe', 'unstop'],
+  help: ['help', 'menu', 'commands']
+};
+const MAX_COMMAND_LENGTH = 40;
+
+const MAX_PER_PHONE = num(process.env.CMD_MAX_PER_PHONE, 10);
+const WINDOW_MS = 10 * 60 * 1000;
+const hits = new Map(); // phone -> { count, resetAt }
+
+function allow(phone) {
+  const now = Date.now();
+  let h = hits.get(phone);
+  if (!h || h.resetAt <= now) {
+    if (hits.size > 10000) for (const [k, v] of hits) if (v.resetAt <= now) hits.delete(k);
+    h = { count: 0, resetAt: now + WINDOW_MS };
+    hits.set(phone, h);
+  }
+  return ++h.count <= MAX_PER_PHONE;
+}
+
+/** Lower-case, punctuation (incl. the Devanagari danda) to spaces, single-spaced */
+function normalize(text) {
+  return String(text || '').normalize('NFC').toLowerCase()
+    .replace(/[?!.,;:।॥"'()]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/** alias -> command: built-ins plus the org's own words */
+async function aliasesFor(org_id) {
+  const map = new Map();
+  for (const c of COMMANDS) for (const a of BUILTIN[c]) map.set(a, c);
+  if (org_id) {
+    const [rows] = await db.query(`SELECT command, alias FROM org_command_aliases WHERE org_id = ?`, [org_id]);
+    for (const r of rows) if (COMMANDS.includes(r.command)) map.set(normalize(r.alias), r.command);
+  }
+  return map;
+}
+
+/** { command, arg } for the longest alias the message starts with, or null */
+function parseCommand(text, aliases) {
+  const t = normalize(text);
+  if (!t || t.length > MAX_COMMAND_LENGTH) return null;
+  let best = null;
+  for (const [alias, command] of aliases) {
+    if ((t === alias || t.startsWith(`${alias} `)) && (!best || alias.length > best.alias.length)) {
+      best = { alias, command };
+    }
+  }
+  return best ? { command: best.command, arg: t.slice(best.alias.length).trim() } : null;
+}
+
+/** Today's open booking for a phone, in `org_id` when it has one there */
+async function todaysBooking(phone, org_id = null) {
+  const last10 = digitsOnly(phone).slice(-10);
+  if (last10.length < 8) return null;
+  const states = [...WAITING, ...ACTIVE];
+  const [rows] = await db.query(
+    `SELECT * FROM bookings
+      WHERE booking_date = ? AND ${phoneSql('user_phone')} = ?
+        AND status IN (${states.map(() => '?').join(',')})
+        ${org_id ? 'ORDER BY org_id = ? DESC, id DESC' : 'ORDER BY id DESC'}
+      LIMIT 1`,
+    [dayjs().format('YYYY-MM-DD'), last10, ...states, ...(org_id ? [org_id] : [])]
+  );
+  return rows[0] || null;
+}
+
+/** Org of the latest notification to `phone`, however old, or null */
+async function lastMessagedOrg(phone) {
+  const last10 = digitsOnly(phone).slice(-10);
+  if (last10.length < 8) return null;
+  const [rows] = await db.query(
+    `SELECT org_id FROM notifications WHERE ${phoneSql('to_phone')} = ? ORDER BY id DESC LIMIT 1`,
+    [last10]
+  );
+  return rows[0]?.org_id ?? null;
+}
+
+const NO_BOOKING = 'We could not find a booking for today for this number. To join a queue, reply JOIN followed by the code on the poster.';
+const HELP = 'Reply STATUS to see your place in the queue, LATE to move back one place, CANCEL to cancel, JOIN <code> to join a queue, or STOP to stop messages.';
+
+async function statusText(booking) {
+  const { org, metrics, closed, wait } = await statusView({ org_id: booking.org_id, booking });
+  const name = org?.name || 'the center';
+  if (ACTIVE.includes(booking.status)) {
+    return `Token #${booking.token_number} at ${name}: it is your turn, please come to the counter now.`;
+  }
+  const parts = [`Token #${booking.token_number} at ${name}:`];
+  if (wait) parts.push(`${wait.people_ahead} ahead of you, about ${Math.round(wait.eta_seconds / 60)} min.`);
+  if (metrics?.now_serving) parts.push(`Now serving #${metrics.now_serving}.`);
+  if (closed) parts.push(`Closed${closed.until ? ` until ${dayjs(closed.until).format('HH:mm')}` : ''} right now.`);
+  parts.push(buildStatusLink({ org_id: booking.org_id, booking_id: booking.id, booking_date: booking.booking_date }));
+  return parts.join(' ');
+}
+
+const LATE_ERRORS = {
+  already_last: 'You are already last in the queue.',
+  late_limit_reached: 'You cannot move back any more times for this booking.',
+  running_late_unavailable: 'Moving back is not available here; please contact the front desk.',
+  not_waiting: 'Your booking is not waiting any more.',
+  not_today: 'Your booking is not for today.'
+};
+
+/** Run one command; resolves to { body } to send back, or { queued: true } when a rule message answers */
+async function run({ command, arg }, msg, booking) {
+  if (command === 'help') return { body: HELP };
+
+  if (command === 'join') {
+    const slug = arg.split(' ')[0];
+    if (!slug) return { body: 'Reply JOIN followed by the code on the poster, for example JOIN city-clinic.' };
+    const [orgs] = await db.query(`SELECT id, name, is_active FROM organizations WHERE slug = ? LIMIT 1`, [slug]);
+    const org = orgs[0];
+    if (!org || org.is_active === 0) return { body: `We could not find "${slug}". Please check the code on the poster.` };
+
+    const existing = await todaysBooking(msg.from_phone, org.id);
+    if (existing && Number(existing.org_id) === Number(org.id)) return { body: await statusText(existing) };
+
+    const blocked = await checkOrgLimits(org.id);
+    if (blocked) return { body: `${org.name} is not taking more bookings right now.` };
+    try {
+      const out = await createBooking({
+        org_id: org.id,
+        user_name: String(msg.contact_name || 'Guest').slice(0, 100),
+        user_phone: msg.from_phone,
+        consent_source: 'inbound'
+      });
+      // the booking_created confirmation is the answer
+      if (await useProvider(`${out.id}:booking_created`)) return { queued: true };
+      return { body: `You are in the queue at ${org.name} with token #${out.token_number}. ${out.status_link}` };
+    } catch (err) {
+      if (err.message === 'org_closed') return { body: `${org.name} is closed right now, please try again when it opens.` };
+      if (err.statusCode) return { body: `Sorry, we could not add you to the queue at ${org.name}.` };
+      throw err;
+    }
+  }
+
+  if (command === 'stop' || command === 'start') {
+    // the org the conversation belongs to; a sender we cannot place is opted out everywhere they have a
+    // row, or else by the org that last messaged them
+    const org_id = msg.org_id || booking?.org_id;
+    let orgs = org_id ? [org_id] : await consentOrgs(msg.from_phone);
+    if (!orgs.length) {
+      const last = await lastMessagedOrg(msg.from_phone);
+      if (last) orgs = [last];
+    }
+    if (!orgs.length) {
+      return { body: 'We have not sent any messages to this number, so nothing was changed.' };
+    }
+    for (const id of orgs) {
+      if (command === 'stop') await optOut({ org_id: id, phone: msg.from_phone, source: 'inbound' });
+      else await optIn({ org_id: id, phone: msg.from_phone, source: 'inbound' });
+    }
+    return {
+      body: command === 'stop'
+        ? 'You will not get any more messages from us. Reply START to get them again.'
+        : 'Messages are on again. Reply STOP at any time to stop them.'
+    };
+  }
+
+  if (!booking) return { body: NO_BOOKING };
+
+  if (command === 'status') return { body: await statusText(booking) };
+
+  if (command === 'cancel') {
+    try {
+      await queue.cancel(booking.id, { reason: 'Cancelled by message reply', cancelled_by: 'customer' });
+    } catch (err) {
+      if (err.statusCode === 409) return { body: 'That booking can no longer be cancelled.' };
+      throw err;
+    }
+    // the cancelled message (services/notificationRules) is the answer
+    if (await useProvider(`${booking.id}:cancelled`)) return { queued: true };
+    return { body: `Your booking (token #${booking.token_number}) has been cancelled.` };
+  }
+
+  if (command === 'late') {
+    const positions = arg ? Math.trunc(num(arg, 1)) : 1;
+    try {
+      const out = await queue.runningLate(booking.id, { positions });
+      return { body: `Done: you moved back ${out.moved} place(s) and are now after token #${out.behind_token}.` };
+    } catch (err) {
+      if (err.message === 'invalid_positions') return { body: `You can move back 1 to ${err.details.max} places, e.g. LATE 2.` };
+      if (LATE_ERRORS[err.message]) return { body: LATE_ERRORS[err.message] };
+      throw err;
+    }
+  }
+  return null;
+}
+
+/**
+ * Handle a stored inbound message (services/conversations.recordInbound).
+ * Resolves to the command name, or null when the text is not a command; never throws.
+ */
+async function handleInbound(provider, msg) {
+  try {
+    const booking = await todaysBooking(msg.from_phone, msg.org_id);
+    const cmd = parseCommand(msg.body, await aliasesFor(msg.org_id || booking?.org_id || null));
+    if (!cmd) return null;
+    await db.query(`UPDATE inbound_messages SET command = ? WHERE id = ?`, [cmd.command, msg.id]);
+    if (!['stop', 'start'].includes(cmd.command) && !allow(msg.from_phone)) return cmd.command;
+
+    const reply = await run(cmd, msg, booking);
+    if (!reply?.body) return cmd.command;
+
+    const org_id = booking?.org_id || msg.org_id;
+    if (org_id) {
+      await enqueueNotification({
+        org_id, booking_id: booking?.id || null, event: 'command_reply',
+        to_phone: msg.from_phone, channel: msg.channel, body: reply.body, dispatch: 'provider'
+      });
+    } else {
+      // no org to file it under (a stranger writing in): answer directly, not metered to anyone
+      await sendMessage({ provider, to: msg.from_phone, channel: msg.channel, body: reply.body });
+    }
+    return cmd.command;
+  } catch (err) {
+    console.warn(`[commands] inbound ${msg.id} from ${msg.from_phone} failed:`, err.code || err.message);
+    return null;
+  }
+}
+
+/** The org's aliases as { command: [alias, ...] } */
+async function listAliases(org_id) {
+  const [rows] = await db.query(
+    `SELECT command, alias FROM org_command_aliases WHERE org_id = ? ORDER BY command, alias`, [org_id]
+  );
+  const out = Object.fromEntries(COMMANDS.map(c => [c, []]));
+  for (const r of rows) if (out[r.command]) out[r.command].push(r.alias);
+  return out;
+}
+
+function aliasError(message, details) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  if (details) err.details = details;
+  return err;
+}
+
+/** Replace the org's aliases with { command: [alias, ...] }; 400 on unknown commands or clashes */
+async function saveAliases(org_id, input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) throw aliasError('aliases object required');
+  const taken = new Map();
+  for (const c of COMMANDS) for (const a of BUILTIN[c]) taken.set(a, c);
+
+  const rows = [];
+  for (const [command, list] of Object.entries(input)) {
+    if (!COMMANDS.includes(command)) throw aliasError('unknown_command', { commands: COMMANDS });
+    if (!Array.isArray(list)) throw aliasError('aliases must be arrays of words');
+    for (const raw of list) {
+      const alias = normalize(raw);
+      if (!alias || alias.length > 60) throw aliasError('invalid_alias', { alias: raw });
+      if (taken.has(alias) && taken.get(alias) !== command) {
+        throw aliasError('alias_conflict', { alias, command: taken.get(alias) });
+      }
+      if (taken.get(alias) === command) continue;
+      taken.set(alias, command);
+      rows.push([org_id, command, alias]);
+    }
+  }
+
+  await db.withTransaction(async (conn) => {
+    await conn.query(`DELETE FROM org_command_aliases WHERE org_id = ?`, [org_id]);
+    if (rows.length) await conn.query(`INSERT INTO org_command_aliases (org_id, command, alias) VALUES ?`, [rows]);
+  });
+  return listAliases(org_id);
+}
+
+module.exports = { COMMANDS, BUILTIN, parseCommand, handleInbound, listAliases, saveAliases };
@@ -0,0 +1,101 @@
+// services/liveAccess.js — who may subscribe to which live stream (shared by SSE and WebSocket)
+// Browsers cannot send headers on EventSource / WebSocket, so credentials may also come from the query string or a cookie.
+//   staff:    Authorization: Bearer <jwt> | ?access_token=<jwt> | cookie token=<jwt>
+//             + ?org_id= (required, checked with canAccessOrg) [&assigned_user_id=]
+//   customer: ?status_token=<signed token for one booking> — sees only that booking's org and queue
+//   display:  X-Display-Key: <key> | ?display_key=<key> — a waiting-room screen, whole org (see services/displays.js)
+
+const db = require('./db');
+const { verifyAccessToken } = require('../middleware/auth');
+const { canAccessOrg } = require('../middleware/roles');
+const { verifyStatusToken } = require('./statusToken');
+const { verifyDisplayKey } = require('./displays');
+const { countClients } = require('./liveBus');
+
+const num = (x, d = 0) => { const n = Number(x); return Number.isFinite(n) ? n : d; };
+
+const MAX_PER_USER = num(process.env.LIVE_MAX_PER_USER, 10);
+const MAX_PER_BOOKING = num(process.env.LIVE_MAX_PER_BOOKING, 3);
+const MAX_PER_IP = num(process.env.LIVE_MAX_PER_IP, 20);
+const MAX_PER_DISPLAY = num(process.env.LIVE_MAX_PER_DISPLAY, 2);
+
+function readCookie(req, name) {
+  const raw = req.headers.cookie || '';
+  for (const part of raw.split(';')) {
+    const i = part.indexOf('=');
+    if (i > 0 && part.slice(0, i).trim() === name) {
+      try { return decodeURIComponent(part.slice(i + 1).trim()); } catch { return null; }
+    }
+  }
+  return null;
+}
+
+function staffToken(req) {
+  const h = req.headers.authorization || '';
+  if (h.startsWith('Bearer ')) return h.slice(7);
+  return req.query.access_token || readCookie(req, 'token') || null;
+}
+
+/**
+ * Resolve the subscriber scope from { headers, query, ip }.
+ * Returns { scope, limits, user? } or { status, error } when not allowed.
+ */
+async function resolveScope(req) {
+  const ipKey = `ip:${req.ip}`;
+
+  if (req.query.status_token) {
+    const st = verifyStatusToken(req.query.status_token);
+    if (!st) return { status: 401, error: 'invalid_status_token' };
+    const [rows] = await db.query(
+      `SELECT id, org_id, assigned_user_id FROM bookings WHERE id = ? LIMIT 1`, [st.booking_id]
+    );
+    const b = rows[0];
+    if (!b || Number(b.org_id) !== Number(st.org_id)) return { status: 404, error: 'booking_not_found' };
+    return {
+      scope: {
+        org_id: b.org_id,
+        assigned_user_id: b.assigned_user_id ? b.assigned_user_id : 'null',
+        keys: [`booking:${b.id}`, ipKey]
+      },
+      limits: { [`booking:${b.id}`]: MAX_PER_BOOKING, [ipKey]: MAX_PER_IP }
+    };
+  }
+
+  const displayKey = req.headers['x-display-key'] || req.query.display_key;
+  if (displayKey) {
+    const d = await verifyDisplayKey(displayKey);
+    if (!d) return { status: 401, error: 'invalid_display_key' };
+    const key = `display:${d.id}`;
+    return {
+      scope: { org_id: d.org_id, assigned_user_id: null, keys: [key, ipKey] },
+      limits: { [key]: MAX_PER_DISPLAY, [ipKey]: MAX_PER_IP }
+    };
+  }
+
+  const token = staffToken(req);
+  if (!token) return { status: 401, error: 'unauthorized' };
+  let user;
+  try { user = verifyAccessToken(token); } catch { return { status: 401, error: 'invalid_token' }; }
+
+  const org_id = num(req.query.org_id);
+  if (!org_id) return { status: 400, error: 'org_id_required' };
+  if (!(await canAccessOrg(user, org_id))) return { status: 403, error: 'forbidden_org' };
+
+  const userKey = `user:${user.id}`;
+  return {
+    scope: {
+      org_id,
+      assigned_user_id: req.query.assigned_user_id ? String(req.query.assigned_user_id) : null,
+      keys: [userKey, ipKey]
+    },
+    limits: { [userKey]: MAX_PER_USER, [ipKey]: MAX_PER_IP },
+    user
+  };
+}
+
+/** True when any limit key already has its maximum of open connections */
+function overLimit(limits) {
+  return Object.entries(limits).some(([key, max]) => countClients(key) >= max);
+}
+
+module.exports = { resolveScope, overLimit };
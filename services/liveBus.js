@@ -1,7 +1,137 @@
 // services/liveBus.js
+// Server-Sent Events fan-out of typed queue events.
+//   - every event has a monotonically increasing id (`id:` line)
+//   - the last REPLAY_SIZE events (up to REPLAY_MAX_AGE_MS old) are kept for Last-Event-ID replay
+//   - a fresh subscriber gets an initial `snapshot` event with the queue state
+// Access control happens in routes/live.js, which hands over an already-authorized scope.
+//
+// Backends (LIVE_BUS):
+//   memory (default) — events stay in this process; fine for a single instance
+//   mysql            — events go through the `live_events` outbox (services/liveOutbox.js),
+//                      so every instance behind the load balancer sees every event
+// revoke(org_id, key) goes through the same backend as a control event, so a revoked credential's
+// connections are dropped on every instance; subscribers never see it.
+
+const { queueSnapshot } = require('./queueState');
+
+const REPLAY_SIZE = Number(process.env.LIVE_REPLAY_SIZE || 500);
+const REPLAY_MAX_AGE_MS = Number(process.env.LIVE_REPLAY_MAX_AGE_MS || 10 * 60 * 1000);
+// a subscriber with more than this many bytes unsent skips events and gets a `resync` snapshot once drained
+const MAX_BUFFERED = Number(process.env.LIVE_MAX_BUFFERED_BYTES || 1024 * 1024);
+
+// transport-agnostic subscribers (SSE here, WebSocket in services/liveSocket.js):
+//   { org_id, assigned_user_id, keys, send(ev), sendSnapshot(id, payload), buffered(), close() }
 const clients = new Set();
+const replay = []; // [{ id, type, org_id, assigned_user_id, at, data }]
+const REVOKE = 'connection_revoked'; // control event: { key }
+
+// Seeded from the clock so ids keep increasing across restarts (memory backend)
+let lastId = Date.now();
+
+const memoryBackend = {
+  name: 'memory',
+  start(onEvent) { this.onEvent = onEvent; },
+  stop() {},
+  emit(ev) {
+    const out = { ...ev, id: ++lastId, at: Date.now() };
+    this.onEvent(out);
+    return out.id;
+  }
+};
+
+const BACKENDS = { memory: memoryBackend, mysql: require('./liveOutbox') };
+const backend = BACKENDS[String(process.env.LIVE_BUS || 'memory').toLowerCase()] || memoryBackend;
+// outbox ids come from the table's AUTO_INCREMENT
+if (backend !== memoryBackend) lastId = 0;
+let started = null;
+
+function matches(c, ev) {
+  const sameOrg = c.org_id === String(ev.org_id);
+  const sameAssignee =
+    c.assigned_user_id == null
+      ? true // client wants all in org
+      : c.assigned_user_id === (ev.assigned_user_id == null ? 'null' : String(ev.assigned_user_id));
+  return sameOrg && sameAssignee;
+}
+
+function write(c, ev) {
+  if (c.buffered() > MAX_BUFFERED) {
+    c.lagging = true;
+    return;
+  }
+  if (c.lagging) {
+    // the snapshot already reflects this and every skipped event
+    c.lagging = false;
+    sendSnapshot(c, 'resync');
+    return;
+  }
+  try { c.send(ev); } catch { /* ignore broken clients */ }
+}
+
+function remember(ev) {
+  replay.push(ev);
+  const cutoff = Date.now() - REPLAY_MAX_AGE_MS;
+  while (replay.length > REPLAY_SIZE || (replay.length && replay[0].at < cutoff)) replay.shift();
+}
+
+async function sendSnapshot(c, reason) {
+  try {
+    const data = await queueSnapshot({
+      org_id: Number(c.org_id),
+      assigned_user_id: c.assigned_user_id && c.assigned_user_id !== 'null' ? Number(c.assigned_user_id) : null
+    });
+    c.sendSnapshot(lastId || null, { reason, data });
+  } catch (err) {
+    console.warn('[liveBus] snapshot failed:', err.message);
+  }
+}
+
+/** Number of open connections holding `key` (see scope.keys) */
+function countClients(key) {
+  let n = 0;
+  for (const c of clients) if (c.keys.includes(key)) n++;
+  return n;
+}
+
+/** Close this instance's open connections holding `key`; returns how many (see revoke for all instances) */
+function disconnect(key) {
+  let n = 0;
+  for (const c of [...clients]) {
+    if (!c.keys.includes(key)) continue;
+    clients.delete(c);
+    try { c.close(); } catch { /* already gone */ }
+    n++;
+  }
+  return n;
+}
+
+/**
+ * Register a subscriber and bring it up to date: replay after `since` when the buffer
+ * still covers it, otherwise a snapshot. Returns the unsubscribe function.
+ * scope: { org_id, assigned_user_id?: id | 'null' | null, keys?: [] } — keys are used for connection limits
+ */
+function subscribe(scope, transport, since = 0) {
+  if (!scope || !scope.org_id) throw new Error('liveBus: subscriber scope requires org_id');
+  if (!started) start();
+  const client = {
+    ...transport,
+    org_id: String(scope.org_id),
+    assigned_user_id: scope.assigned_user_id == null ? null : String(scope.assigned_user_id),
+    keys: scope.keys || []
+  };
+  clients.add(client);
+
+  if (since && replay.length && since >= replay[0].id - 1 && since <= lastId) {
+    for (const ev of replay) if (ev.id > since && matches(client, ev)) write(client, ev);
+  } else {
+    // first connect, or too far behind for the buffer
+    sendSnapshot(client, since ? 'resync' : 'initial');
+  }
+  return () => clients.delete(client);
+}
 
-function onClientSubscribe(req, res) {
+/** Attach an SSE subscriber (see subscribe for `scope`) */
+function onClientSubscribe(req, res, scope) {
   // Keep connection open
   res.writeHead(200, {
     'Content-Type': 'text/event-stream',
@@ -9,12 +139,22 @@ function onClientSubscribe(req, res) {
     Connection: 'keep-alive',
     'X-Accel-Buffering': 'no' // for nginx-like proxies
   });
-  const client = {
-    res,
-    org_id: req.query.org_id ? String(req.query.org_id) : null,
-    assigned_user_id: req.query.assigned_user_id ? String(req.query.assigned_user_id) : null
-  };
-  clients.add(client);
+  res.write(`retry: 3000\n\n`);
+
+  // EventSource resends Last-Event-ID on reconnect; ?last_event_id= for the first connect
+  const since = Number(req.headers['last-event-id'] || req.query.last_event_id || 0);
+  const unsubscribe = subscribe(scope, {
+    send(ev) {
+      res.write(`id: ${ev.id}\nevent: ${ev.type}\ndata: ${JSON.stringify(ev)}\n\n`);
+      // legacy: the deployed status page refetches on a bare `live` event
+      res.write(`event: live\ndata: ${JSON.stringify({ org_id: ev.org_id, assigned_user_id: ev.assigned_user_id })}\n\n`);
+    },
+    sendSnapshot(id, payload) {
+      res.write(`${id ? `id: ${id}\n` : ''}event: snapshot\ndata: ${JSON.stringify(payload)}\n\n`);
+    },
+    buffered: () => res.writableLength,
+    close: () => res.end()
+  }, since);
 
   // ping to keep-alive
   const ping = setInterval(() => {
@@ -23,27 +163,95 @@ function onClientSubscribe(req, res) {
 
   req.on('close', () => {
     clearInterval(ping);
-    clients.delete(client);
+    unsubscribe();
   });
-
-  res.write(`retry: 3000\n\n`);
 }
 
-function sendLive(orgId, assignedUserId /* can be null */) {
-  const org = String(orgId);
-  const tgtAssigned = assignedUserId == null ? null : String(assignedUserId);
+/** Called by the backend for every event, local or from another instance */
+function deliver(ev) {
+  if (ev.id > lastId) lastId = ev.id;
+  if (ev.type === REVOKE) {
+    if (ev.data && ev.data.key) disconnect(ev.data.key);
+    return;
+  }
+  remember(ev);
   for (const c of clients) {
-    const sameOrg = !c.org_id || c.org_id === org; // if client didn’t filter org, send anyway
-    const sameAssignee =
-      c.assigned_user_id == null
-        ? true // client wants all in org
-        : c.assigned_user_id === (tgtAssigned ?? 'null');
-    if (sameOrg && sameAssignee) {
-      try {
-        c.res.write(`event: live\ndata: ${JSON.stringify({ org_id: orgId, assigned_user_id: assignedUserId })}\n\n`);
-      } catch { /* ignore broken clients */ }
-    }
+    if (matches(c, ev)) write(c, ev);
+  }
+}
+
+/**
+ * Start the configured backend (idempotent). Called from index.js at boot;
+ * the memory backend also starts lazily on first use.
+ */
+function start() {
+  if (!started) {
+    started = Promise.resolve(backend.start(deliver, { backlogMs: REPLAY_MAX_AGE_MS }))
+      .catch((err) => {
+        console.error(`[liveBus] ${backend.name} backend failed to start:`, err.message);
+        started = null;
+      });
   }
+  return started;
+}
+
+function stop() {
+  backend.stop();
+  started = null;
+}
+
+/**
+ * Broadcast a typed event to subscribers of the org / assignee.
+ * sendLive(orgId, assignedUserId, type = 'queue_updated', data = {})
+ * Returns the event id (a Promise of it with the mysql backend); never throws.
+ */
+function sendLive(orgId, assignedUserId /* can be null */, type = 'queue_updated', data = {}) {
+  if (!started) start();
+  const ev = {
+    type,
+    org_id: Number(orgId),
+    assigned_user_id: assignedUserId == null ? null : Number(assignedUserId),
+    data
+  };
+  try {
+    const id = backend.emit(ev);
+    return id && typeof id.then === 'function'
+      ? id.catch((err) => { console.warn(`[liveBus] emit ${type} failed:`, err.message); return null; })
+      : id;
+  } catch (err) {
+    console.warn(`[liveBus] emit ${type} failed:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Broadcast `type` with the changed booking and the queue state after the change.
+ * Fire-and-forget: failures are logged, never thrown.
+ */
+async function publish(type, { org_id, assigned_user_id = null, booking = null, ...extra }) {
+  try {
+    const queue = await queueSnapshot({ org_id, assigned_user_id });
+    const b = booking && {
+      id: booking.id,
+      token_number: booking.token_number,
+      status: booking.status,
+      assigned_user_id: booking.assigned_user_id ?? null
+    };
+    return sendLive(org_id, assigned_user_id, type, { ...extra, booking: b || undefined, queue });
+  } catch (err) {
+    console.warn(`[liveBus] publish ${type} failed:`, err.message);
+    return sendLive(org_id, assigned_user_id, type, extra);
+  }
+}
+
+/**
+ * Drop the connections holding `key` (e.g. `display:<id>` after its key is revoked) on every instance.
+ * Local ones close right away; returns how many.
+ */
+function revoke(orgId, key) {
+  const n = disconnect(key);
+  sendLive(orgId, null, REVOKE, { key });
+  return n;
 }
 
-module.exports = { onClientSubscribe, sendLive };
+module.exports = { start, stop, subscribe, onClientSubscribe, countClients, disconnect, revoke, sendLive, publish };
@@ -0,0 +1,110 @@
+// services/liveOutbox.js — MySQL outbox backend for liveBus (LIVE_BUS=mysql)
+// Every instance INSERTs its events into `live_events` and tails the table, so subscribers
+// connected to any instance see every event. The AUTO_INCREMENT id is the SSE event id.
+// Event ages are computed by the database (created_at is DB-local time), never against this clock.
+//   LIVE_OUTBOX_POLL_MS       tail interval (default 500)
+//   LIVE_OUTBOX_GAP_WAIT_MS   how long to wait for a not-yet-committed lower id (default 2000)
+//   LIVE_OUTBOX_RETENTION_MS  rows older than this are deleted (default LIVE_REPLAY_MAX_AGE_MS or 10 min)
+
+const db = require('./db');
+
+const num = (x, d = 0) => { const n = Number(x); return Number.isFinite(n) ? n : d; };
+
+const POLL_MS = num(process.env.LIVE_OUTBOX_POLL_MS, 500);
+const GAP_WAIT_MS = num(process.env.LIVE_OUTBOX_GAP_WAIT_MS, 2000);
+const RETENTION_MS = num(process.env.LIVE_OUTBOX_RETENTION_MS, num(process.env.LIVE_REPLAY_MAX_AGE_MS, 10 * 60 * 1000));
+const CLEANUP_EVERY_MS = 60 * 1000;
+const BATCH = 500;
+const COLUMNS = `id, type, org_id, assigned_user_id, payload,
+                 TIMESTAMPDIFF(MICROSECOND, created_at, NOW(3)) / 1000 AS age_ms`;
+
+let cursor = 0;
+let deliver = null;
+let pollTimer = null;
+let cleanupTimer = null;
+let polling = false;
+
+function toEvent(r) {
+  let data = {};
+  try { data = typeof r.payload === 'string' ? JSON.parse(r.payload) : (r.payload || {}); } catch { /* keep {} */ }
+  return {
+    id: Number(r.id),
+    type: r.type,
+    org_id: Number(r.org_id),
+    assigned_user_id: r.assigned_user_id == null ? null : Number(r.assigned_user_id),
+    at: Date.now() - num(r.age_ms),
+    data
+  };
+}
+
+async function poll() {
+  if (polling) return;
+  polling = true;
+  try {
+    const [rows] = await db.query(
+      `SELECT ${COLUMNS} FROM live_events WHERE id > ? ORDER BY id ASC LIMIT ${BATCH}`,
+      [cursor]
+    );
+    for (const r of rows) {
+      const id = Number(r.id);
+      // ids are allocated before commit: a hole may still be filled by a slower writer
+      if (id !== cursor + 1 && num(r.age_ms) < GAP_WAIT_MS) break;
+      cursor = id;
+      deliver(toEvent(r));
+    }
+  } catch (err) {
+    console.warn('[liveOutbox] poll failed:', err.message);
+  } finally {
+    polling = false;
+  }
+}
+
+async function cleanup() {
+  try {
+    await db.query(
+      `DELETE FROM live_events WHERE created_at < NOW(3) - INTERVAL ? SECOND LIMIT 5000`,
+      [Math.ceil(RETENTION_MS / 1000)]
+    );
+  } catch (err) {
+    console.warn('[liveOutbox] cleanup failed:', err.message);
+  }
+}
+
+/**
+ * Begin tailing. `onEvent(ev)` is called once per event, in id order.
+ * Events from the last `backlogMs` are handed over first so replay survives a restart.
+ */
+async function start(onEvent, { backlogMs = 0 } = {}) {
+  deliver = onEvent;
+  const [[row]] = await db.query(`SELECT COALESCE(MAX(id), 0) AS max_id FROM live_events`);
+  const [recent] = await db.query(
+    `SELECT ${COLUMNS} FROM live_events
+      WHERE created_at >= NOW(3) - INTERVAL ? SECOND ORDER BY id ASC LIMIT ${BATCH}`,
+    [Math.ceil(backlogMs / 1000)]
+  );
+  for (const r of recent) deliver(toEvent(r));
+  cursor = Math.max(Number(row.max_id), ...recent.map(r => Number(r.id)));
+
+  pollTimer = setInterval(poll, POLL_MS);
+  cleanupTimer = setInterval(cleanup, CLEANUP_EVERY_MS);
+  pollTimer.unref();
+  cleanupTimer.unref();
+  console.log(`[liveOutbox] tailing live_events from id ${cursor}`);
+}
+
+function stop() {
+  clearInterval(pollTimer);
+  clearInterval(cleanupTimer);
+  pollTimer = cleanupTimer = null;
+}
+
+/** Append an event; subscribers (on this and other instances) get it from the next poll. Resolves to its id. */
+async function emit({ type, org_id, assigned_user_id, data }) {
+  const [r] = await db.query(
+    `INSERT INTO live_events (type, org_id, assigned_user_id, payload, created_at) VALUES (?, ?, ?, ?, NOW(3))`,
+    [type, org_id, assigned_user_id, JSON.stringify(data || {})]
+  );
+  return r.insertId;
+}
+
+module.exports = { name: 'mysql', start, stop, emit };
@@ -0,0 +1,196 @@
+// services/liveSocket.js — WebSocket transport for the live queue at /live/ws
+// Mirrors /live (same credentials, scopes, connection limits, replay and snapshots; see services/liveAccess.js)
+// for clients behind proxies that buffer SSE, and lets operators drive the queue over the same socket.
+//
+// Server -> client (JSON text frames):
+//   { type: <event type>, id, org_id, assigned_user_id, at, data }   same objects as the SSE `data:` lines
+//   { type: 'snapshot', id, reason, data }
+//   { type: 'reply', ref, ok: true, result } | { type: 'reply', ref, ok: false, error, ...details }
+// Client -> server (staff only; `ref` is echoed in the reply):
+//   { cmd: 'call_next', assigned_user_id?, complete_current? }
+//   { cmd: 'call' | 'recall' | 'serve' | 'complete' | 'skip' | 'no_show', booking_id }
+//   { cmd: 'cancel', booking_id, reason? }
+//   { cmd: 'break_start', assigned_user_id, minutes? } | { cmd: 'break_end', assigned_user_id }
+// A command sent after the staff token's `exp` gets error 'token_expired' and the socket is closed
+// with 4001; reconnect with a fresh token.
+// Resume with ?last_event_id=<id of the last event seen>.
+
+const http = require('http');
+const { WebSocketServer } = require('ws');
+const db = require('./db');
+const { subscribe } = require('./liveBus');
+const { resolveScope, overLimit } = require('./liveAccess');
+const queue = require('./queue');
+const { startBreak, endBreak } = require('./breaks');
+
+const num = (x, d = 0) => { const n = Number(x); return Number.isFinite(n) ? n : d; };
+
+const PATH = '/live/ws';
+const PING_MS = num(process.env.LIVE_WS_PING_MS, 25000);
+const MAX_MESSAGE_BYTES = 4096;
+const MAX_COMMANDS_PER_10S = num(process.env.LIVE_WS_MAX_COMMANDS, 20);
+const STAFF_ROLES = new Set(['admin', 'organization_admin', 'receptionist', 'assigned_user']);
+
+function commandError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+/** Express-like view of the upgrade request for liveAccess (app uses trust proxy = 1) */
+function requestView(req) {
+  const url = new URL(req.url, 'http://localhost');
+  const fwd = String(req.headers['x-forwarded-for'] || '').split(',').map(s => s.trim()).filter(Boolean);
+  return {
+    path: url.pathname,
+    headers: req.headers,
+    query: Object.fromEntries(url.searchParams),
+    ip: fwd.length ? fwd[fwd.length - 1] : req.socket.remoteAddress
+  };
+}
+
+function rejectUpgrade(socket, status, error) {
+  const body = JSON.stringify({ ok: false, error });
+  socket.write(
+    `HTTP/1.1 ${status} ${http.STATUS_CODES[status] || 'Error'}\r\n`
+    + 'Content-Type: application/json\r\n'
+    + `Content-Length: ${Buffer.byteLength(body)}\r\n`
+    + 'Connection: close\r\n\r\n' + body
+  );
+  socket.destroy();
+}
+
+/** The JWT was checked at upgrade; the socket can outlive it */
+function tokenExpired(user) {
+  return user.exp != null && num(user.exp) * 1000 <= Date.now();
+}
+
+/** Booking must belong to the socket's org */
+async function bookingInOrg(booking_id, org_id) {
+  const [rows] = await db.query(`SELECT id, org_id FROM bookings WHERE id = ? LIMIT 1`, [num(booking_id)]);
+  const b = rows[0];
+  if (!b || Number(b.org_id) !== Number(org_id)) throw commandError(404, 'booking_not_found');
+  return b.id;
+}
+
+async function runCommand(msg, { scope, user }) {
+  const org_id = num(scope.org_id);
+  const assigned_user_id = msg.assigned_user_id ? num(msg.assigned_user_id) : null;
+
+  switch (msg.cmd) {
+    case 'call_next':
+      return queue.callNext({
+        org_id,
+        assigned_user_id,
+        complete_current: msg.complete_current !== false
+      });
+    case 'call': case 'recall': case 'serve': case 'complete': case 'skip': case 'no_show': {
+      const id = await bookingInOrg(msg.booking_id, org_id);
+      const b = await queue.transition(id, msg.cmd);
+      return { id: b.id, status: b.status, token_number: b.token_number };
+    }
+    case 'cancel': {
+      const id = await bookingInOrg(msg.booking_id, org_id);
+      const b = await queue.cancel(id, {
+        reason: msg.reason ? String(msg.reason).trim() : null,
+        cancelled_by: 'staff',
+        actor_user_id: user.id || null
+      });
+      return { id: b.id, status: b.status };
+    }
+    case 'break_start':
+      if (!assigned_user_id) throw commandError(400, 'assigned_user_id required');
+      return startBreak({ org_id, assigned_user_id, minutes: msg.minutes || 15 });
+    case 'break_end':
+      if (!assigned_user_id) throw commandError(400, 'assigned_user_id required');
+      await endBreak({ org_id, assigned_user_id });
+      return {};
+    default:
+      throw commandError(400, 'unknown_command');
+  }
+}
+
+function onConnection(ws, access, since) {
+  const send = (obj) => { if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(obj)); };
+
+  const unsubscribe = subscribe(access.scope, {
+    send,
+    sendSnapshot: (id, { reason, data }) => send({ type: 'snapshot', id, reason, data }),
+    buffered: () => ws.bufferedAmount,
+    close: () => ws.close(4001, 'revoked')
+  }, since);
+
+  // heartbeat: a socket that missed the previous pong is dead
+  let alive = true;
+  ws.on('pong', () => { alive = true; });
+  const ping = setInterval(() => {
+    if (!alive) return ws.terminate();
+    alive = false;
+    try { ws.ping(); } catch { /* closing */ }
+  }, PING_MS);
+
+  let windowStart = Date.now();
+  let commands = 0;
+
+  ws.on('message', async (raw, isBinary) => {
+    let msg;
+    try { msg = isBinary ? null : JSON.parse(raw.toString('utf8')); } catch { msg = null; }
+    if (!msg || typeof msg !== 'object') return send({ type: 'reply', ok: false, error: 'invalid_message' });
+    const ref = msg.ref ?? null;
+
+    if (!access.user || !STAFF_ROLES.has(access.user.role)) {
+      return send({ type: 'reply', ref, ok: false, error: 'forbidden' });
+    }
+    if (tokenExpired(access.user)) {
+      send({ type: 'reply', ref, ok: false, error: 'token_expired' });
+      return ws.close(4001, 'token_expired');
+    }
+    if (Date.now() - windowStart > 10000) { windowStart = Date.now(); commands = 0; }
+    if (++commands > MAX_COMMANDS_PER_10S) return send({ type: 'reply', ref, ok: false, error: 'too_many_commands' });
+
+    try {
+      const result = await runCommand(msg, access);
+      send({ type: 'reply', ref, ok: true, result });
+    } catch (err) {
+      if (!err.statusCode) console.error('[liveSocket] command failed:', err);
+      send({
+        type: 'reply', ref, ok: false,
+        error: err.statusCode ? err.message : 'server_error',
+        ...(err.details || {})
+      });
+    }
+  });
+
+  ws.on('close', () => {
+    clearInterval(ping);
+    unsubscribe();
+  });
+  ws.on('error', () => { /* 'close' follows */ });
+}
+
+/** Handle WebSocket upgrades on /live/ws for an http.Server (call once at boot) */
+function attach(server) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
+
+  server.on('upgrade', async (req, socket, head) => {
+    const view = requestView(req);
+    if (view.path !== PATH) return socket.destroy();
+    // a client that resets mid-handshake must not crash the process; ws handles errors after the upgrade
+    const onSocketError = () => socket.destroy();
+    socket.on('error', onSocketError);
+    try {
+      const r = await resolveScope(view);
+      if (r.error) return rejectUpgrade(socket, r.status, r.error);
+      if (overLimit(r.limits)) return rejectUpgrade(socket, 429, 'too_many_live_connections');
+
+      socket.removeListener('error', onSocketError);
+      wss.handleUpgrade(req, socket, head, (ws) => onConnection(ws, r, num(view.query.last_event_id)));
+    } catch (err) {
+      console.error('[liveSocket] upgrade failed:', err.message);
+      rejectUpgrade(socket, 500, 'server_error');
+    }
+  });
+  return wss;
+}
+
+module.exports = { attach };
@@ -0,0 +1,131 @@
+// services/messagePolicy.js — may we message this phone now? Consent, quiet hours, recipient caps.
+// Consent is per org and phone (message_consents). Making a booking records an opt-in but never
+// overrides an earlier opt-out; STOP (services/inboundCommands) or staff opt out, START opts back in.
+// Phones with no row at all (bookings from before the registry) count as opted in.
+// Urgent events (called, turn_near, cancelled) ignore quiet hours and caps; messages the customer
+// asked for (command_reply answers, otp codes) skip every check, opt-outs included.
+//   RECIPIENT_MAX_PER_HOUR  (default 5)    messages sent to one phone across orgs
+//   RECIPIENT_MAX_PER_DAY   (default 20)
+
+const dayjs = require('dayjs');
+const db = require('./db');
+const { toE164Digits } = require('../util/phone');
+
+const num = (x, d = 0) => { const n = Number(x); return Number.isFinite(n) ? n : d; };
+
+const MAX_PER_HOUR = num(process.env.RECIPIENT_MAX_PER_HOUR, 5);
+const MAX_PER_DAY = num(process.env.RECIPIENT_MAX_PER_DAY, 20);
+
+const URGENT_EVENTS = ['called', 'turn_near', 'cancelled'];
+const CUSTOMER_INITIATED = ['command_reply', 'otp'];
+
+const recipientKey = (phone) => toE164Digits(phone);
+
+async function getConsent(org_id, phone) {
+  const [rows] = await db.query(
+    `SELECT org_id, phone, status, source, opted_in_at, opted_out_at, opt_out_source, updated_at
+       FROM message_consents WHERE org_id = ? AND phone = ? LIMIT 1`,
+    [org_id, recipientKey(phone)]
+  );
+  return rows[0] || null;
+}
+
+/** Implicit opt-in (a booking, JOIN): only creates the row, an existing opt-out stays */
+async function recordOptIn({ org_id, phone, source }) {
+  await db.query(
+    `INSERT IGNORE INTO message_consents (org_id, phone, status, source, opted_in_at)
+     VALUES (?, ?, 'opted_in', ?, NOW())`,
+    [org_id, recipientKey(phone), source]
+  );
+}
+
+/** Explicit opt-in (START, staff): clears an opt-out */
+async function optIn({ org_id, phone, source }) {
+  await db.query(
+    `INSERT INTO message_consents (org_id, phone, status, source, opted_in_at)
+     VALUES (?, ?, 'opted_in', ?, NOW())
+     ON DUPLICATE KEY UPDATE status = 'opted_in', source = VALUES(source), opted_in_at = NOW()`,
+    [org_id, recipientKey(phone), source]
+  );
+}
+
+/** Opt out of one org; messages already queued for that phone are suppressed */
+async function optOut({ org_id, phone, source }) {
+  const key = recipientKey(phone);
+  await db.query(
+    `INSERT INTO message_consents (org_id, phone, status, source, opted_out_at, opt_out_source)
+     VALUES (?, ?, 'opted_out', ?, NOW(), ?)
+     ON DUPLICATE KEY UPDATE status = 'opted_out', opted_out_at = NOW(), opt_out_source = VALUES(opt_out_source)`,
+    [org_id, key, source, source]
+  );
+  await db.query(
+    `UPDATE notifications SET status = 'suppressed', last_error = 'opted_out'
+      WHERE org_id = ? AND recipient = ? AND status = 'pending' AND event NOT IN (?)`,
+    [org_id, key, CUSTOMER_INITIATED]
+  );
+}
+
+/** Orgs that have a consent row for this phone (STOP from someone we cannot place) */
+async function consentOrgs(phone) {
+  const [rows] = await db.query(`SELECT org_id FROM message_consents WHERE phone = ?`, [recipientKey(phone)]);
+  return rows.map(r => Number(r.org_id));
+}
+
+/** Is `t` (HH:mm:ss) inside [start, end), which may wrap past midnight */
+function inWindow(t, start, end) {
+  return start < end ? t >= start && t < end : t >= start || t < end;
+}
+
+/** Quiet-hours end after `now` when now is inside the org's quiet hours, else null */
+async function quietUntil(org_id, now = dayjs()) {
+  const [rows] = await db.query(
+    `SELECT TIME_FORMAT(quiet_hours_start, '%H:%i:%s') AS qs, TIME_FORMAT(quiet_hours_end, '%H:%i:%s') AS qe
+       FROM organizations WHERE id = ? LIMIT 1`,
+    [org_id]
+  );
+  const { qs, qe } = rows[0] || {};
+  if (!qs || !qe || qs === qe || !inWindow(now.format('HH:mm:ss'), qs, qe)) return null;
+  let until = dayjs(`${now.format('YYYY-MM-DD')} ${qe}`);
+  if (!until.isAfter(now)) until = until.add(1, 'day');
+  return until;
+}
+
+/** When the recipient is under both caps again, or null when under them now (messages they asked for do not count) */
+async function capUntil(phone) {
+  const [[r]] = await db.query(
+    `SELECT SUM(sent_at >= NOW() - INTERVAL 1 HOUR) AS hour_n, COUNT(*) AS day_n,
+            MIN(CASE WHEN sent_at >= NOW() - INTERVAL 1 HOUR THEN sent_at END) AS hour_first,
+            MIN(sent_at) AS day_first
+       FROM notifications
+      WHERE recipient = ? AND status = 'sent' AND sent_at >= NOW() - INTERVAL 1 DAY
+        AND (event IS NULL OR event NOT IN (?))`,
+    [recipientKey(phone), CUSTOMER_INITIATED]
+  );
+  if (num(r?.day_n) >= MAX_PER_DAY) return dayjs(r.day_first).add(1, 'day');
+  if (num(r?.hour_n) >= MAX_PER_HOUR) return dayjs(r.hour_first).add(1, 'hour');
+  return null;
+}
+
+/**
+ * Decide one send. Resolves to
+ *   { allow: true }
+ *   { allow: false, reason: 'opted_out' }                                    drop it
+ *   { allow: false, reason: 'quiet_hours' | 'recipient_rate_limited', until } send at `until`
+ */
+async function checkSend({ org_id, phone, event }) {
+  if (CUSTOMER_INITIATED.includes(event)) return { allow: true };
+  const consent = await getConsent(org_id, phone);
+  if (consent?.status === 'opted_out') return { allow: false, reason: 'opted_out' };
+  if (URGENT_EVENTS.includes(event)) return { allow: true };
+
+  const quiet = await quietUntil(org_id);
+  if (quiet) return { allow: false, reason: 'quiet_hours', until: quiet.toDate() };
+  const capped = await capUntil(phone);
+  if (capped) return { allow: false, reason: 'recipient_rate_limited', until: capped.toDate() };
+  return { allow: true };
+}
+
+module.exports = {
+  URGENT_EVENTS, CUSTOMER_INITIATED,
+  recipientKey, getConsent, recordOptIn, optIn, optOut, consentOrgs, quietUntil, checkSend
+};
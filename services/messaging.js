@@ -1,47 +1,69 @@
 // services/messaging.js
-// Builds customer-facing links for manual messaging (WhatsApp/SMS). Pluggable providers later.
+// Builds customer-facing links for manual messaging (WhatsApp/SMS); provider sends go through services/providers.
 
 require('dotenv').config();
 
-const APP_URL = process.env.APP_URL || 'http://localhost:5008';
-const LIVE_BASE_URL = process.env.LIVE_BASE_URL || APP_URL;
+const { signStatusToken } = require('./statusToken');
+const { providerName, sendMessage } = require('./providers');
+const { renderTemplate } = require('./templates');
+const { checkSend } = require('./messagePolicy');
+const { recordMessage } = require('./usage');
+const config = require('../config');
+
+// the status page itself (LIVE_BASE_URL, default the production status host)
+const LIVE_BASE_URL = config.liveBaseUrl;
 const MSG_PROVIDER = (process.env.MSG_PROVIDER || 'manual').toLowerCase();
 
-/** Build the public status link for a booking */
-function buildStatusLink({ org_id, booking_id, token, phone }) {
-  const url = new URL('/public/status.html', LIVE_BASE_URL);
-  if (org_id) url.searchParams.set('org_id', org_id);
-  if (booking_id) url.searchParams.set('booking_id', booking_id);
-  else if (token) {
-    url.searchParams.set('token', token);
-    if (phone) url.searchParams.set('phone', phone);
-  }
+/**
+ * Build the public status link for a booking: ?s=<signed status token>, valid through
+ * the booking day (+ STATUS_LINK_GRACE_DAYS). Nothing guessable (ids, tokens, phone) is in the URL.
+ */
+function buildStatusLink({ org_id, booking_id, booking_date }) {
+  const url = new URL(LIVE_BASE_URL);
+  url.searchParams.set('s', signStatusToken({ booking_id, org_id, booking_date }));
   return url.toString();
 }
 
 /** Build WhatsApp deep link (manual) */
-function buildWhatsAppLink({ phone, statusLink, orgName }) {
-  const text = `Hi! Your booking is confirmed for ${orgName || 'our center'}.\nLive queue status: ${statusLink}`;
+function buildWhatsAppLink({ phone, text }) {
   return `https://wa.me/${phone}?text=${encodeURIComponent(text)}`;
 }
 
 /** Build SMS deep link (manual; may not auto-open on some devices) */
-function buildSmsLink({ phone, statusLink, orgName }) {
-  const body = `Your booking with ${orgName || 'our center'} is confirmed. Live status: ${statusLink}`;
-  return `sms:${phone}?&body=${encodeURIComponent(body)}`;
+function buildSmsLink({ phone, text }) {
+  return `sms:${phone}?&body=${encodeURIComponent(text)}`;
 }
 
-/** Main entry: manual provider returns links; other providers would send immediately */
-async function sendBookingConfirmation({ provider = MSG_PROVIDER, toPhone, orgName, statusLink }) {
+/**
+ * Main entry: manual provider returns links; other providers send immediately (WhatsApp).
+ * Text comes from the org's booking_created template (services/templates) in `language`.
+ * With org_id the message policy applies: { mode: 'held', reason, until } when it may not go now.
+ */
+async function sendBookingConfirmation({ provider = MSG_PROVIDER, org_id = null, booking_id = null, language = null, toPhone, orgName, statusLink, vars = {} }) {
+  provider = providerName(provider);
+  if (org_id) {
+    const policy = await checkSend({ org_id, phone: toPhone, event: 'booking_created' });
+    if (!policy.allow) return { mode: 'held', reason: policy.reason, until: policy.until || null };
+  }
+  const msg = await renderTemplate({
+    org_id,
+    event: 'booking_created',
+    language,
+    vars: { org_name: orgName || 'our center', status_link: statusLink, ...vars }
+  });
   if (provider === 'manual') {
     return {
       mode: 'manual',
-      whatsapp: buildWhatsAppLink({ phone: toPhone, statusLink, orgName }),
-      sms: buildSmsLink({ phone: toPhone, statusLink, orgName })
+      whatsapp: buildWhatsAppLink({ phone: toPhone, text: msg.body }),
+      sms: buildSmsLink({ phone: toPhone, text: msg.body })
     };
   }
-  // TODO: twilio/cloudapi/d360 providers here
-  return { mode: provider, result: 'not-implemented' };
+  const result = await sendMessage({ provider, to: toPhone, channel: 'whatsapp', body: msg.body, template: msg.whatsapp });
+  await recordMessage({
+    org_id, booking_id, ref: `${result.provider}:${result.provider_msg_id}`,
+    channel: 'whatsapp', provider: result.provider, event: 'booking_created', body: msg.body
+  });
+  return { mode: provider, result };
 }
 
 module.exports = {
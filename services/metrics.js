@@ -5,6 +5,11 @@ const dayjs = require('dayjs');
 
 const num = (x, d=0) => { const n = Number(x); return Number.isFinite(n) ? n : d; };
 
+/** Per-assignee metrics (assigned_live_metrics) instead of per-org; see ASSIGNED_METRICS */
+function isAssignedMode() {
+  return String(process.env.ASSIGNED_METRICS || 'false').toLowerCase() === 'true';
+}
+
 /**
  * Set "now serving" token for an org (or per assigned user if needed).
  * mode: 'org' | 'assigned'
@@ -28,14 +33,14 @@ async function setNowServing({ org_id, token_number, assigned_user_id = null, mo
 
 /**
  * Recalculate average service time based on served bookings today.
- * Requires bookings.served_at and token_number to exist.
+ * Service time runs from called_at (falling back to scheduled_at) to served_at.
  */
 async function recalcAvgServiceSeconds({ org_id, assigned_user_id = null }) {
   const today = dayjs().format('YYYY-MM-DD');
 
   if (assigned_user_id) {
     const [rows] = await db.query(
-      `SELECT TIMESTAMPDIFF(SECOND, scheduled_at, served_at) AS s
+      `SELECT TIMESTAMPDIFF(SECOND, COALESCE(called_at, scheduled_at), served_at) AS s
          FROM bookings
         WHERE org_id=? AND assigned_user_id=? AND booking_date=? AND served_at IS NOT NULL`,
       [org_id, assigned_user_id, today]
@@ -51,7 +56,7 @@ async function recalcAvgServiceSeconds({ org_id, assigned_user_id = null }) {
   }
 
   const [rows] = await db.query(
-    `SELECT TIMESTAMPDIFF(SECOND, scheduled_at, served_at) AS s
+    `SELECT TIMESTAMPDIFF(SECOND, COALESCE(called_at, scheduled_at), served_at) AS s
        FROM bookings
       WHERE org_id=? AND booking_date=? AND served_at IS NOT NULL`,
     [org_id, today]
@@ -61,5 +66,5 @@ async function recalcAvgServiceSeconds({ org_id, assigned_user_id = null }) {
   return avg;
 }
 
-module.exports = { setNowServing, recalcAvgServiceSeconds };
+module.exports = { isAssignedMode, setNowServing, recalcAvgServiceSeconds };
 
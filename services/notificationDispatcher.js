@@ -0,0 +1,91 @@
+// services/notificationDispatcher.js — background sender for provider notifications
+// Claims due rows (status 'pending', dispatch 'provider') with SELECT ... FOR UPDATE SKIP LOCKED,
+// so any number of instances can run it. A claim is a lease: the row stays 'sending' until
+// locked_until, and a row whose lease ran out (instance died mid-send) is claimed again.
+// Message policy (consent, quiet hours, caps), retries and the 'failed' dead letter are decided in
+// notifications.deliverNotification.
+//   NOTIFY_DISPATCH_POLL_MS   poll interval (default 2000)
+//   NOTIFY_DISPATCH_BATCH     rows claimed per poll (default 20)
+//   NOTIFY_DISPATCH=off       do not run on this instance
+
+const db = require('./db');
+const { LEASE_MS, deliverNotification } = require('./notifications');
+
+const num = (x, d = 0) => { const n = Number(x); return Number.isFinite(n) ? n : d; };
+
+const POLL_MS = num(process.env.NOTIFY_DISPATCH_POLL_MS, 2000);
+const BATCH = num(process.env.NOTIFY_DISPATCH_BATCH, 20);
+
+let timer = null;
+let running = false;
+
+/** Lock and lease the next batch of due rows; returns them */
+async function claimBatch() {
+  return db.withTransaction(async (conn) => {
+    const [rows] = await conn.query(
+      `SELECT * FROM notifications
+        WHERE dispatch = 'provider'
+          AND ((status = 'pending' AND (next_attempt_at IS NULL OR next_attempt_at <= NOW()))
+               OR (status = 'sending' AND locked_until < NOW()))
+        ORDER BY id ASC
+        LIMIT ?
+        FOR UPDATE SKIP LOCKED`,
+      [BATCH]
+    );
+    if (rows.length) {
+      await conn.query(
+        `UPDATE notifications SET status = 'sending', locked_until = NOW() + INTERVAL ? SECOND WHERE id IN (?)`,
+        [Math.ceil(LEASE_MS / 1000), rows.map(r => r.id)]
+      );
+    }
+    return rows;
+  });
+}
+
+/** Claim and send one batch. Resolves to { claimed, sent, deferred, suppressed, retrying, failed } */
+async function runOnce() {
+  const stats = { claimed: 0, sent: 0, deferred: 0, suppressed: 0, retrying: 0, failed: 0 };
+  const rows = await claimBatch();
+  stats.claimed = rows.length;
+  for (const n of rows) {
+    try {
+      await deliverNotification(n);
+      stats.sent++;
+    } catch (err) {
+      // message policy: quiet hours / caps put it back for later, opt-outs drop it
+      if (err.defer_until) { stats.deferred++; continue; }
+      if (err.message === 'recipient_opted_out') { stats.suppressed++; continue; }
+      if (err.retry_at) stats.retrying++;
+      else stats.failed++;
+      console.warn(`[dispatch] notification ${n.id} ${err.retry_at ? 'will retry' : 'failed'}:`, err.code || err.message);
+    }
+  }
+  return stats;
+}
+
+async function tick() {
+  if (running) return;
+  running = true;
+  try {
+    // keep going while full batches come back, so a backlog drains without waiting for the timer
+    while ((await runOnce()).claimed >= BATCH) { /* next batch */ }
+  } catch (err) {
+    console.warn('[dispatch] poll failed:', err.message);
+  } finally {
+    running = false;
+  }
+}
+
+function start() {
+  if (timer || String(process.env.NOTIFY_DISPATCH || '').toLowerCase() === 'off') return;
+  timer = setInterval(tick, POLL_MS);
+  timer.unref();
+  console.log(`[dispatch] sending provider notifications every ${POLL_MS}ms`);
+}
+
+function stop() {
+  clearInterval(timer);
+  timer = null;
+}
+
+module.exports = { start, stop, runOnce };
@@ -0,0 +1,112 @@
+// services/notificationRules.js — customer messages queued automatically from queue events
+// Rules: booking_created, turn_near (at most N waiting ahead; organizations.turn_near_ahead,
+// default TURN_NEAR_AHEAD, 0 turns it off), called, cancelled. Text comes from services/templates.
+// Each (booking, event) is queued at most once (notifications.dedupe_key).
+// plan_mode 'full' hands the row to the provider dispatcher (services/notificationDispatcher);
+// 'semi' (and trial) leave it pending for staff to send with the manual wa.me / sms: links
+// (POST /notifications/:id/manual-send).
+// Rule failures are logged, never thrown: the queue action that triggered them has already happened.
+
+const dayjs = require('dayjs');
+const db = require('./db');
+const { enqueueNotification } = require('./notifications');
+const { renderTemplate, varsForBooking } = require('./templates');
+const { estimateWait } = require('./eta');
+const { providerName } = require('./providers');
+const { WAITING, rankSql } = require('./bookingStatus');
+
+const num = (x, d = 0) => { const n = Number(x); return Number.isFinite(n) ? n : d; };
+
+const TURN_NEAR_AHEAD = num(process.env.TURN_NEAR_AHEAD, 3);
+
+async function getTableColumns(table) {
+  const [rows] = await db.query(
+    `SELECT column_name FROM information_schema.columns
+     WHERE table_schema = DATABASE() AND table_name = ?`,
+    [table]
+  );
+  return new Set(rows.map(r => r.column_name));
+}
+
+/** { plan_mode, turn_near_ahead } for an org */
+async function orgSettings(org_id) {
+  const cols = await getTableColumns('organizations');
+  const pick = ['plan_mode', 'turn_near_ahead'].filter(c => cols.has(c));
+  const [rows] = pick.length
+    ? await db.query(`SELECT ${pick.join(', ')} FROM organizations WHERE id = ? LIMIT 1`, [org_id])
+    : [[]];
+  const o = rows[0] || {};
+  return {
+    plan_mode: o.plan_mode || 'semi',
+    turn_near_ahead: o.turn_near_ahead == null ? TURN_NEAR_AHEAD : Math.max(0, num(o.turn_near_ahead))
+  };
+}
+
+/**
+ * Queue the `event` message for a booking (template event names, see services/templates).
+ * Returns the notification id, or null when there is no phone or it was already queued.
+ */
+async function notify(event, booking, extra = {}) {
+  if (!booking?.id || !booking.user_phone) return null;
+  try {
+    const settings = await orgSettings(booking.org_id);
+    const msg = await renderTemplate({
+      org_id: booking.org_id, event, language: booking.language, vars: await varsForBooking(booking, extra)
+    });
+    return await enqueueNotification({
+      org_id: booking.org_id, booking_id: booking.id, event,
+      to_phone: booking.user_phone, body: msg.body, dedupe_key: `${booking.id}:${event}`,
+      dispatch: settings.plan_mode === 'full' && providerName() !== 'manual' ? 'provider' : 'manual'
+    });
+  } catch (err) {
+    console.warn(`[rules] could not queue ${event} for booking ${booking.id}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * After the line moves, queue turn_near for today's waiting bookings in one queue (org or assignee)
+ * with at most turn_near_ahead people ahead of them.
+ */
+async function checkTurnNear({ org_id, assigned_user_id = null }) {
+  try {
+    const { turn_near_ahead } = await orgSettings(org_id);
+    if (!turn_near_ahead) return;
+
+    const scope = assigned_user_id
+      ? { sql: 'assigned_user_id = ?', params: [num(assigned_user_id)] }
+      : { sql: 'assigned_user_id IS NULL', params: [] };
+    const [line] = await db.query(
+      `SELECT * FROM bookings
+        WHERE org_id = ? AND booking_date = ? AND ${scope.sql}
+          AND status IN (${WAITING.map(() => '?').join(',')})
+        ORDER BY ${rankSql(await getTableColumns('bookings'))} ASC, id ASC
+        LIMIT ?`,
+      [org_id, dayjs().format('YYYY-MM-DD'), ...scope.params, ...WAITING, turn_near_ahead + 1]
+    );
+
+    // skip the template work for bookings already told
+    const told = new Set();
+    const ncols = await getTableColumns('notifications');
+    if (line.length && ncols.has('booking_id') && ncols.has('event')) {
+      const [rows] = await db.query(
+        `SELECT booking_id FROM notifications WHERE booking_id IN (?) AND event = 'turn_near'`,
+        [line.map(b => b.id)]
+      );
+      for (const r of rows) told.add(num(r.booking_id));
+    }
+
+    for (const [i, b] of line.entries()) {
+      if (!b.user_phone || told.has(num(b.id))) continue;
+      const est = await estimateWait({ booking: b });
+      await notify('turn_near', b, {
+        people_ahead: est ? est.people_ahead : i,
+        eta_minutes: est ? Math.round(est.eta_seconds / 60) : ''
+      });
+    }
+  } catch (err) {
+    console.warn(`[rules] turn_near check failed for org ${org_id}:`, err.message);
+  }
+}
+
+module.exports = { TURN_NEAR_AHEAD, orgSettings, notify, checkTurnNear };
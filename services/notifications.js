@@ -5,35 +5,285 @@
 const db = require("../services/db");
 
 const config = require('../config');
+const { sendMessage } = require('./providers');
+const { recipientKey, getConsent, checkSend, CUSTOMER_INITIATED } = require('./messagePolicy');
+const { recordMessage } = require('./usage');
 
-// Provider integration hooks go here (Twilio / WhatsApp Cloud API / 360dialog)
-async function sendViaProvider(notificationId, providerName) {
-  // Fetch notification
-  const n = (await db.query('SELECT * FROM notifications WHERE id = ?', [notificationId]))[0];
-  if (!n) throw new Error('notification_not_found');
+async function getCols(table) {
+  try {
+    const [rows] = await db.query(
+      `SELECT column_name FROM information_schema.columns
+       WHERE table_schema = DATABASE() AND table_name = ?`,
+      [table]
+    );
+    return new Set(rows.map(r => String(r.column_name)));
+  } catch {
+    return new Set();
+  }
+}
+
+/**
+ * Queue a pending customer message in `notifications`.
+ * Only columns that exist are written; returns the new id.
+ * dispatch 'provider' hands it to services/notificationDispatcher; 'manual' waits for staff.
+ * Phones that opted out of the org get the row as 'suppressed'.
+ * With `dedupe_key` a second message under the same key is not queued and null is returned.
+ */
+async function enqueueNotification({ org_id, booking_id = null, event = null, to_phone, channel = 'whatsapp', body, dedupe_key = null, dispatch = 'manual' }) {
+  const cols = await getCols('notifications');
+  const row = { org_id, to_phone, channel, body, status: 'pending' };
+  if (cols.has('dispatch')) row.dispatch = dispatch;
+  if (cols.has('booking_id')) row.booking_id = booking_id;
+  if (cols.has('event')) row.event = event;
+  if (cols.has('recipient')) row.recipient = recipientKey(to_phone);
+  if (cols.has('created_at')) row.created_at = new Date();
+  if (cols.has('updated_at')) row.updated_at = new Date();
+
+  // kept for the record, never sent (services/messagePolicy)
+  if (!CUSTOMER_INITIATED.includes(event) && (await getConsent(org_id, to_phone))?.status === 'opted_out') {
+    row.status = 'suppressed';
+    if (cols.has('last_error')) row.last_error = 'opted_out';
+  }
+
+  if (dedupe_key && cols.has('dedupe_key')) {
+    row.dedupe_key = dedupe_key;
+    const [r] = await db.query('INSERT IGNORE INTO notifications SET ?', [row]);
+    return r.affectedRows ? r.insertId : null;
+  }
+  if (dedupe_key && booking_id && cols.has('booking_id') && cols.has('event')) {
+    // older schema without dedupe_key: best-effort check
+    const [dup] = await db.query('SELECT id FROM notifications WHERE booking_id = ? AND event = ? LIMIT 1', [booking_id, event]);
+    if (dup.length) return null;
+  }
+  const [r] = await db.query('INSERT INTO notifications SET ?', [row]);
+  return r.insertId;
+}
+
+/** Error with an HTTP status for routes */
+function notificationError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+const num = (x, d = 0) => { const n = Number(x); return Number.isFinite(n) ? n : d; };
+
+// bodies that are credentials (verification codes): provider-only, never shown to staff, and
+// blanked once the row is done with (sent, failed or suppressed)
+const SECRET_EVENTS = ['otp'];
+const REDACTED_BODY = '[verification code removed]';
+
+/** SELECT expression for `body` that hides secret bodies from staff-facing lists */
+const bodySql = (alias = 'body') =>
+  `CASE WHEN event IN (${SECRET_EVENTS.map(e => `'${e}'`).join(', ')}) THEN '${REDACTED_BODY}' ELSE body END AS ${alias}`;
+
+function redactBody(n, sets) {
+  if (SECRET_EVENTS.includes(n.event)) sets.push(`body = '${REDACTED_BODY}'`);
+}
+
+// retries of transient provider errors: base * 2^(attempt-1), capped, with up to 20% jitter
+const MAX_ATTEMPTS = num(process.env.NOTIFY_MAX_ATTEMPTS, 6);
+const BACKOFF_BASE_MS = num(process.env.NOTIFY_BACKOFF_BASE_MS, 30 * 1000);
+const BACKOFF_MAX_MS = num(process.env.NOTIFY_BACKOFF_MAX_MS, 60 * 60 * 1000);
+const LEASE_MS = num(process.env.NOTIFY_LEASE_MS, 2 * 60 * 1000);
+
+function backoffMs(attempt) {
+  const ms = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** Math.max(0, attempt - 1));
+  return Math.round(ms * (1 + Math.random() * 0.2));
+}
+
+/**
+ * Claim one notification for sending (status 'sending' for LEASE_MS) so the dispatcher
+ * and a manual send never deliver the same row twice. Returns false when it is not claimable.
+ */
+async function claimNotification(id) {
+  const [r] = await db.query(
+    `UPDATE notifications
+        SET status = 'sending', locked_until = NOW() + INTERVAL ? SECOND
+      WHERE id = ? AND (status IN ('pending', 'failed') OR (status = 'sending' AND locked_until < NOW()))`,
+    [Math.ceil(LEASE_MS / 1000), id]
+  );
+  return r.affectedRows > 0;
+}
 
-  // If providerName is 'manual' treat as error
-  if (!providerName || providerName === 'manual') throw new Error('provider_not_configured');
+/**
+ * Consent / quiet hours / recipient caps (services/messagePolicy) for a claimed row.
+ * Opted out: 'suppressed', throws 409 recipient_opted_out.
+ * Not now: back to 'pending' for the dispatcher at err.defer_until (no attempt used), throws 409 <reason>.
+ */
+async function applyPolicy(n, cols) {
+  const policy = await checkSend({ org_id: n.org_id, phone: n.to_phone, event: n.event });
+  if (policy.allow) return;
+
+  const sets = [];
+  const params = [];
+  if (policy.reason === 'opted_out') {
+    sets.push(`status = 'suppressed'`);
+    if (cols.has('last_error')) sets.push(`last_error = 'opted_out'`);
+    redactBody(n, sets);
+  } else {
+    sets.push(`status = 'pending'`);
+    if (cols.has('dispatch')) sets.push(`dispatch = 'provider'`);
+    if (cols.has('next_attempt_at')) { sets.push('next_attempt_at = ?'); params.push(policy.until); }
+  }
+  if (cols.has('locked_until')) sets.push('locked_until = NULL');
+  if (cols.has('updated_at')) sets.push('updated_at = NOW()');
+  await db.query(`UPDATE notifications SET ${sets.join(', ')} WHERE id = ?`, [...params, n.id]);
 
-  // TODO: call provider API here and return provider response
-  // Example pseudo:
-  // const resp = await provider.send({ to: n.to_phone, body: n.body });
-  // await db.query('UPDATE notifications SET status = ?, provider_msg_id = ?, sent_at = NOW() WHERE id = ?', ['sent', resp.id, notificationId]);
+  const err = notificationError(409, policy.reason === 'opted_out' ? 'recipient_opted_out' : policy.reason);
+  if (policy.until) err.defer_until = policy.until;
+  throw err;
+}
 
-  // Simulate send success for now:
-  const providerMsgId = 'SIM-' + Date.now();
-  await db.query('UPDATE notifications SET status = "sent", provider_msg_id = ?, sent_at = NOW(), updated_at = NOW() WHERE id = ?', [providerMsgId, notificationId]);
+/**
+ * Send a claimed notification row `n` and record the outcome.
+ * First the message policy: see applyPolicy.
+ * Success: status 'sent', provider_msg_id, sent_at, metered for billing (services/usage).
+ * Transient ProviderError with attempts left: back to 'pending' (dispatch 'provider') at next_attempt_at.
+ * Anything else: 'failed' (the dead letter) with last_error.
+ * Resolves to { ok: true, provider, providerMsgId }; rejects with the error, plus err.retry_at when retried.
+ */
+async function deliverNotification(n, providerName) {
+  const cols = await getCols('notifications');
+  await applyPolicy(n, cols);
+  const attempts = num(n.attempts) + 1;
 
-  // track usage
+  let out;
   try {
-    await db.query('INSERT INTO message_usage (org_id, notification_id, channel, provider_msg_id, created_at) VALUES (?, ?, ?, ?, NOW())', [n.org_id, notificationId, n.channel || 'unknown', providerMsgId]);
-  } catch (e) {
-    // ignore if message_usage table missing
+    out = await sendMessage({ provider: providerName, to: n.to_phone, channel: n.channel || 'whatsapp', body: n.body });
+  } catch (err) {
+    const retry = err.name === 'ProviderError' && err.transient && attempts < MAX_ATTEMPTS;
+    const sets = ['status = ?'];
+    const params = [retry ? 'pending' : 'failed'];
+    if (cols.has('attempts')) { sets.push('attempts = ?'); params.push(attempts); }
+    if (cols.has('locked_until')) sets.push('locked_until = NULL');
+    if (retry) {
+      const delay = Math.ceil(backoffMs(attempts) / 1000);
+      err.retry_at = new Date(Date.now() + delay * 1000);
+      if (cols.has('next_attempt_at')) { sets.push('next_attempt_at = NOW() + INTERVAL ? SECOND'); params.push(delay); }
+      if (cols.has('dispatch')) sets.push(`dispatch = 'provider'`);
+    } else {
+      if (cols.has('failed_at')) sets.push('failed_at = NOW()');
+      redactBody(n, sets);
+    }
+    if (cols.has('last_error')) { sets.push('last_error = ?'); params.push(`${err.code || 'error'}: ${err.message}`.slice(0, 500)); }
+    if (cols.has('provider') && err.provider) { sets.push('provider = ?'); params.push(err.provider); }
+    if (cols.has('updated_at')) sets.push('updated_at = NOW()');
+    await db.query(`UPDATE notifications SET ${sets.join(', ')} WHERE id = ?`, [...params, n.id]);
+    throw err;
+  }
+
+  const sets = ['status = "sent"', 'provider_msg_id = ?', 'sent_at = NOW()'];
+  const params = [out.provider_msg_id];
+  if (cols.has('provider')) { sets.push('provider = ?'); params.push(out.provider); }
+  if (cols.has('attempts')) { sets.push('attempts = ?'); params.push(attempts); }
+  if (cols.has('locked_until')) sets.push('locked_until = NULL');
+  if (cols.has('last_error')) sets.push('last_error = NULL');
+  if (cols.has('updated_at')) sets.push('updated_at = NOW()');
+  redactBody(n, sets);
+  await db.query(`UPDATE notifications SET ${sets.join(', ')} WHERE id = ?`, [...params, n.id]);
+
+  await recordMessage({
+    org_id: n.org_id, booking_id: n.booking_id || null, ref: `notification:${n.id}`,
+    channel: n.channel || 'whatsapp', provider: out.provider, event: n.event || null, body: n.body
+  });
+
+  return { ok: true, provider: out.provider, providerMsgId: out.provider_msg_id };
+}
+
+/**
+ * Send a stored notification now through a provider adapter (default MSG_PROVIDER, see services/providers).
+ * 404 when missing, 409 when already sent or being sent by the dispatcher; see deliverNotification.
+ */
+async function sendViaProvider(notificationId, providerName) {
+  const [rows] = await db.query('SELECT * FROM notifications WHERE id = ?', [notificationId]);
+  const n = rows[0];
+  if (!n) throw notificationError(404, 'notification_not_found');
+  if ((await getCols('notifications')).has('locked_until') && !(await claimNotification(n.id))) {
+    throw notificationError(409, n.status === 'sent' ? 'already_sent' : 'notification_busy');
   }
+  return deliverNotification(n, providerName);
+}
+
+/**
+ * Put a dead-lettered notification back in the dispatcher's queue with fresh attempts.
+ * 404 when missing, 409 unless it is 'failed'.
+ */
+async function requeueNotification(id) {
+  const [r] = await db.query(
+    `UPDATE notifications
+        SET status = 'pending', dispatch = 'provider', attempts = 0, next_attempt_at = NULL,
+            locked_until = NULL, failed_at = NULL
+      WHERE id = ? AND status = 'failed'`,
+    [id]
+  );
+  if (r.affectedRows) return true;
+  const [rows] = await db.query('SELECT status FROM notifications WHERE id = ?', [id]);
+  if (!rows[0]) throw notificationError(404, 'notification_not_found');
+  throw notificationError(409, 'not_failed');
+}
+
+/**
+ * Hand a queued message still waiting for a manual send to the dispatcher instead
+ * (e.g. the answer to a customer who wrote in through a provider).
+ * Returns true when that message now goes (or went) through the provider.
+ */
+async function useProvider(dedupe_key) {
+  const [r] = await db.query(
+    `UPDATE notifications SET dispatch = 'provider' WHERE dedupe_key = ? AND status = 'pending' AND dispatch = 'manual'`,
+    [dedupe_key]
+  );
+  if (r.affectedRows) return true;
+  const [rows] = await db.query(
+    `SELECT 1 FROM notifications WHERE dedupe_key = ? AND dispatch = 'provider' LIMIT 1`, [dedupe_key]
+  );
+  return rows.length > 0;
+}
 
-  return { ok:true, providerMsgId };
+const DELIVERY_ORDER = ['sent', 'delivered', 'read'];
+
+/**
+ * Apply a provider delivery receipt to the notification with that provider_msg_id.
+ * Receipts arrive out of order, so delivery_status only moves forward; a 'failed' receipt for a
+ * message not yet delivered also dead-letters the row (status 'failed', last_error).
+ * Returns true when a row changed.
+ */
+async function applyDeliveryStatus({ provider_msg_id, status, error = null, at = new Date() }) {
+  if (!provider_msg_id) return false;
+  if (status === 'failed') {
+    const [r] = await db.query(
+      `UPDATE notifications
+          SET delivery_status = 'failed', status = 'failed', failed_at = ?, last_error = ?
+        WHERE provider_msg_id = ? AND (delivery_status IS NULL OR delivery_status = 'sent')`,
+      [at, String(error || 'failed: no details').slice(0, 500), provider_msg_id]
+    );
+    return r.affectedRows > 0;
+  }
+  const rank = DELIVERY_ORDER.indexOf(status);
+  if (rank < 0) return false;
+  const sets = ['delivery_status = ?'];
+  const params = [status];
+  if (rank >= 1) { sets.push('delivered_at = COALESCE(delivered_at, ?)'); params.push(at); }
+  if (rank === 2) { sets.push('read_at = COALESCE(read_at, ?)'); params.push(at); }
+  const [r] = await db.query(
+    `UPDATE notifications SET ${sets.join(', ')}
+      WHERE provider_msg_id = ?
+        AND (delivery_status IS NULL OR FIELD(delivery_status, 'sent', 'delivered', 'read') BETWEEN 1 AND ?)`,
+    [...params, provider_msg_id, rank]
+  );
+  return r.affectedRows > 0;
 }
 
 module.exports = {
-  sendViaProvider
+  MAX_ATTEMPTS,
+  LEASE_MS,
+  SECRET_EVENTS,
+  bodySql,
+  enqueueNotification,
+  claimNotification,
+  deliverNotification,
+  sendViaProvider,
+  requeueNotification,
+  useProvider,
+  applyDeliveryStatus
 };
@@ -0,0 +1,136 @@
+// services/otp.js — phone OTPs for customer-facing actions
+// Codes are 6 digits, stored as HMACs, valid OTP_TTL_SECONDS, with an attempt cap and resend throttle.
+// A verified code is exchanged for a short-lived customer token (see middleware/customer.js).
+// The code goes out through the provider dispatcher only, by SMS or else WhatsApp, whichever
+// MSG_PROVIDER can deliver; with neither no code is issued (503 otp_unavailable). It is never shown
+// to staff and is blanked from notifications once sent (services/notifications SECRET_EVENTS).
+//   OTP_RETURN_CODE=true   also return the code in the API response (local development only)
+
+require('dotenv').config();
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('./db');
+const { enqueueNotification } = require('./notifications');
+const { deliverableChannel } = require('./providers');
+const { digitsOnly } = require('../util/phone');
+
+const num = (x, d = 0) => { const n = Number(x); return Number.isFinite(n) ? n : d; };
+
+const OTP_TTL_SECONDS = num(process.env.OTP_TTL_SECONDS, 300);
+const OTP_MAX_ATTEMPTS = num(process.env.OTP_MAX_ATTEMPTS, 5);
+const OTP_RESEND_SECONDS = num(process.env.OTP_RESEND_SECONDS, 60);
+const OTP_MAX_PER_HOUR = num(process.env.OTP_MAX_PER_HOUR, 5);
+const CUSTOMER_TOKEN_EXPIRES = process.env.CUSTOMER_TOKEN_EXPIRES || '30m';
+
+// Separate secret so a customer token can never pass staff requireAuth
+const CUSTOMER_TOKEN_SECRET =
+  process.env.CUSTOMER_TOKEN_SECRET || `${process.env.JWT_SECRET || 'dev-only'}:customer`;
+const OTP_HASH_SECRET = process.env.OTP_HASH_SECRET || CUSTOMER_TOKEN_SECRET;
+const OTP_CHANNELS = ['sms', 'whatsapp'];
+
+function otpError(statusCode, message, details) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (details) err.details = details;
+  return err;
+}
+
+function hashCode(org_id, phone, code) {
+  return crypto.createHmac('sha256', OTP_HASH_SECRET).update(`${org_id}:${phone}:${code}`).digest('hex');
+}
+
+/**
+ * Create and send a code for (org, phone).
+ * Returns { expires_in, channel, code? } — code only with OTP_RETURN_CODE=true.
+ * Throws 503 otp_unavailable when the messaging provider cannot deliver it.
+ */
+async function requestOtp({ org_id, phone, ip = null }) {
+  const p = digitsOnly(phone);
+  if (!org_id || p.length < 8) throw otpError(400, 'org_id and valid phone required');
+  const channel = deliverableChannel(OTP_CHANNELS);
+  if (!channel) throw otpError(503, 'otp_unavailable');
+
+  const [recent] = await db.query(
+    `SELECT TIMESTAMPDIFF(SECOND, MAX(created_at), NOW()) AS since_last, COUNT(*) AS c
+       FROM customer_otps
+      WHERE org_id = ? AND phone = ? AND created_at > NOW() - INTERVAL 1 HOUR`,
+    [org_id, p]
+  );
+  const r = recent[0] || {};
+  if (r.since_last != null && num(r.since_last) < OTP_RESEND_SECONDS) {
+    throw otpError(429, 'resend_throttled', { retry_after: OTP_RESEND_SECONDS - num(r.since_last) });
+  }
+  if (num(r.c) >= OTP_MAX_PER_HOUR) throw otpError(429, 'too_many_codes');
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  await db.query(
+    `INSERT INTO customer_otps (org_id, phone, code_hash, expires_at, request_ip, created_at)
+     VALUES (?, ?, ?, NOW() + INTERVAL ? SECOND, ?, NOW())`,
+    [org_id, p, hashCode(org_id, p, code), OTP_TTL_SECONDS, ip]
+  );
+
+  const [orgRows] = await db.query(`SELECT name FROM organizations WHERE id = ? LIMIT 1`, [org_id]);
+  const orgName = orgRows[0]?.name || 'EasyQue';
+  await enqueueNotification({
+    org_id, event: 'otp', channel, to_phone: p, dispatch: 'provider',
+    body: `${code} is your ${orgName} verification code. It expires in ${Math.round(OTP_TTL_SECONDS / 60)} minutes.`
+  });
+
+  return {
+    expires_in: OTP_TTL_SECONDS,
+    channel,
+    ...(/^(1|true|yes)$/i.test(process.env.OTP_RETURN_CODE || '') ? { code } : {})
+  };
+}
+
+/**
+ * Check a code against the latest unused OTP for (org, phone).
+ * Returns { customer_token, expires_in } on success.
+ */
+async function verifyOtp({ org_id, phone, code }) {
+  const p = digitsOnly(phone);
+  const c = String(code || '').trim();
+  if (!org_id || p.length < 8 || !/^\d{6}$/.test(c)) throw otpError(400, 'org_id, phone and 6-digit code required');
+
+  const [rows] = await db.query(
+    `SELECT id, code_hash, attempts, expires_at < NOW() AS expired
+       FROM customer_otps
+      WHERE org_id = ? AND phone = ? AND consumed_at IS NULL
+      ORDER BY id DESC LIMIT 1`,
+    [org_id, p]
+  );
+  const otp = rows[0];
+  if (!otp) throw otpError(400, 'otp_not_found');
+  if (num(otp.expired)) throw otpError(400, 'otp_expired');
+  if (num(otp.attempts) >= OTP_MAX_ATTEMPTS) throw otpError(429, 'too_many_attempts');
+
+  const expected = Buffer.from(otp.code_hash, 'hex');
+  const given = Buffer.from(hashCode(org_id, p, c), 'hex');
+  if (!crypto.timingSafeEqual(expected, given)) {
+    await db.query(`UPDATE customer_otps SET attempts = attempts + 1 WHERE id = ?`, [otp.id]);
+    throw otpError(400, 'invalid_code', { attempts_left: Math.max(0, OTP_MAX_ATTEMPTS - num(otp.attempts) - 1) });
+  }
+
+  // consume once: a parallel verify of the same code loses here
+  const [u] = await db.query(
+    `UPDATE customer_otps SET consumed_at = NOW() WHERE id = ? AND consumed_at IS NULL`,
+    [otp.id]
+  );
+  if (!u.affectedRows) throw otpError(400, 'otp_not_found');
+
+  const customer_token = jwt.sign(
+    { typ: 'customer', org_id: Number(org_id), phone: p },
+    CUSTOMER_TOKEN_SECRET,
+    { expiresIn: CUSTOMER_TOKEN_EXPIRES }
+  );
+  return { customer_token, expires_in: CUSTOMER_TOKEN_EXPIRES };
+}
+
+/** Decode a customer token; throws on bad signature/expiry */
+function verifyCustomerToken(token) {
+  const payload = jwt.verify(token, CUSTOMER_TOKEN_SECRET);
+  if (payload.typ !== 'customer') throw new Error('not_a_customer_token');
+  return payload;
+}
+
+module.exports = { requestOtp, verifyOtp, verifyCustomerToken };
@@ -0,0 +1,40 @@
+// services/paymentReceipts.js — payment receipt email to the org's admins (services/email, kind payment_receipt)
+// Sent after checkout (routes/payments.js /verify-order) and for every subscription charge
+// (routes/webhooks.js /razorpay). The dedupe_key is the Razorpay payment id, so a payment
+// reported by both, or by several webhook events, is receipted once.
+
+const db = require('./db');
+const { emailOrgAdmins } = require('./email');
+
+const num = (x, d = 0) => { const n = Number(x); return Number.isFinite(n) ? n : d; };
+
+/**
+ * Email the receipt for one payment. `amount_paise` defaults to the org's initial (checkout) amount.
+ * Resolves to the number of emails sent; never throws, the payment already happened.
+ */
+async function sendReceipt(org_id, { order_id = null, payment_id, amount_paise = null }) {
+  if (!org_id || !payment_id) return 0;
+  try {
+    const [[org]] = await db.query('SELECT name FROM organizations WHERE id = ? LIMIT 1', [org_id]);
+    const [[ob]] = await db.query('SELECT * FROM org_billing WHERE org_id = ? LIMIT 1', [org_id]);
+    const paise = amount_paise == null ? num(ob?.initial_amount_paise) : num(amount_paise);
+    return await emailOrgAdmins({
+      org_id,
+      kind: 'payment_receipt',
+      dedupe_key: `payment_receipt:${payment_id}`,
+      vars: {
+        org_name: org?.name || `Organization ${org_id}`,
+        amount: (paise / 100).toLocaleString('en-IN', { style: 'currency', currency: 'INR' }),
+        plan_mode: ob?.plan_mode || '',
+        payment_id,
+        order_id: order_id || '',
+        paid_at: new Date().toLocaleString('en-IN')
+      }
+    });
+  } catch (err) {
+    console.warn(`[receipts] payment ${payment_id} for org ${org_id} failed:`, err.message);
+    return 0;
+  }
+}
+
+module.exports = { sendReceipt };
@@ -0,0 +1,169 @@
+// services/providers/base.js — shared HTTP + error handling for messaging provider adapters
+//
+// Adapter interface (twilio.js, cloudapi.js, d360.js):
+//   name                     'twilio' | 'cloudapi' | 'd360'
+//   channels                 channels it can deliver: ['whatsapp', 'sms']
+//   configured(channel?)     true when its env credentials are present (for `channel`, when given)
+//   send({ to, channel, body, template? }) -> { provider_msg_id, status }
+//     to:       international number, digits only (util/phone.toE164Digits)
+//     template: { name, language, params: [] } for providers that need approved WhatsApp templates
+// Every failure is thrown as a ProviderError (see providerError).
+// Inbound webhooks (routes/webhooks.js):
+//   verifyWebhook({ headers, rawBody, url, params }) -> true when the request is really from the provider
+//   parseWebhook(body) -> { statuses: [{ provider_msg_id, status, error, at }],
+//                           messages: [{ provider_msg_id, channel, from, to, body, name, at }] }
+//     status: sent | delivered | read | failed; phones as E.164 digits
+
+const crypto = require('crypto');
+
+const num = (x, d = 0) => { const n = Number(x); return Number.isFinite(n) ? n : d; };
+
+const TIMEOUT_MS = num(process.env.MSG_HTTP_TIMEOUT_MS, 10000);
+
+/**
+ * Normalised provider failure.
+ *   code:      our snake_case reason (provider_not_configured, invalid_recipient, rate_limited, ...)
+ *   transient: worth retrying later (network, timeout, 429, 5xx)
+ *   http_status / provider_code / details: what the provider said, for logs
+ */
+function providerError({ provider, code, message, transient = false, http_status = null, provider_code = null, details = null }) {
+  const err = new Error(message || code);
+  err.name = 'ProviderError';
+  err.provider = provider;
+  err.code = code;
+  err.transient = transient;
+  err.http_status = http_status;
+  err.provider_code = provider_code;
+  if (details) err.details = details;
+  return err;
+}
+
+/** Map an HTTP status to { code, transient } */
+function classifyStatus(status) {
+  if (status === 429) return { code: 'rate_limited', transient: true };
+  if (status >= 500) return { code: 'provider_unavailable', transient: true };
+  if (status === 401 || status === 403) return { code: 'provider_auth_failed', transient: false };
+  return { code: 'provider_rejected', transient: false };
+}
+
+/**
+ * POST to a provider; resolves to the parsed JSON body on 2xx.
+ * `describe(json, status)` may refine { code, message, provider_code } from the provider's error body.
+ */
+async function request(provider, url, { headers = {}, body, describe }) {
+  let res;
+  try {
+    res = await fetch(url, { method: 'POST', headers, body, signal: AbortSignal.timeout(TIMEOUT_MS) });
+  } catch (err) {
+    const timedOut = err.name === 'TimeoutError' || err.name === 'AbortError';
+    throw providerError({
+      provider,
+      code: timedOut ? 'provider_timeout' : 'provider_unreachable',
+      message: err.message,
+      transient: true
+    });
+  }
+
+  const text = await res.text();
+  let json = null;
+  try { json = text ? JSON.parse(text) : {}; } catch { json = null; }
+
+  if (res.ok) return json || {};
+
+  const base = classifyStatus(res.status);
+  const extra = (describe && json && describe(json, res.status)) || {};
+  throw providerError({
+    provider,
+    code: extra.code || base.code,
+    message: extra.message || `${provider} responded ${res.status}`,
+    transient: extra.transient ?? base.transient,
+    http_status: res.status,
+    provider_code: extra.provider_code ?? null,
+    details: json || { body: text.slice(0, 500) }
+  });
+}
+
+/** WhatsApp Cloud API message body, shared by Cloud API and 360dialog (same schema) */
+function cloudMessage({ to, body, template }) {
+  if (template?.name) {
+    return {
+      messaging_product: 'whatsapp',
+      to,
+      type: 'template',
+      template: {
+        name: template.name,
+        language: { code: template.language || 'en' },
+        components: template.params?.length
+          ? [{ type: 'body', parameters: template.params.map(p => ({ type: 'text', text: String(p) })) }]
+          : []
+      }
+    };
+  }
+  return { messaging_product: 'whatsapp', to, type: 'text', text: { body, preview_url: true } };
+}
+
+/** Cloud API error body -> normalised fields (also used for 360dialog) */
+function describeCloudError(json) {
+  const e = json.error || (Array.isArray(json.errors) ? json.errors[0] : null);
+  if (!e) return {};
+  const provider_code = e.code ?? null;
+  // 131026: undeliverable / not a WhatsApp user; 131047: outside the 24h window (needs a template)
+  const code = provider_code === 131026 ? 'invalid_recipient'
+    : provider_code === 131047 ? 'template_required'
+    : provider_code === 130429 || provider_code === 80007 ? 'rate_limited'
+    : undefined;
+  return {
+    code,
+    transient: code === 'rate_limited' ? true : undefined,
+    message: e.error_data?.details || e.message || e.title,
+    provider_code
+  };
+}
+
+/** Constant-time string compare for signatures and tokens */
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a || ''));
+  const y = Buffer.from(String(b || ''));
+  return x.length > 0 && x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+const CLOUD_STATUSES = { sent: 'sent', delivered: 'delivered', read: 'read', failed: 'failed' };
+
+/** Cloud API webhook payload (also what 360dialog forwards) -> { statuses, messages } */
+function parseCloudWebhook(body) {
+  const out = { statuses: [], messages: [] };
+  const at = (ts) => (ts ? new Date(num(ts) * 1000) : new Date());
+  for (const entry of body?.entry || []) {
+    for (const change of entry.changes || []) {
+      const v = change.value || {};
+      const own = v.metadata?.display_phone_number ? String(v.metadata.display_phone_number).replace(/\D/g, '') : null;
+      for (const st of v.statuses || []) {
+        if (!CLOUD_STATUSES[st.status]) continue;
+        const e = st.errors?.[0];
+        out.statuses.push({
+          provider_msg_id: st.id,
+          status: CLOUD_STATUSES[st.status],
+          error: e ? `${e.code}: ${e.error_data?.details || e.title || e.message || ''}`.trim() : null,
+          at: at(st.timestamp)
+        });
+      }
+      const names = new Map((v.contacts || []).map(c => [c.wa_id, c.profile?.name || null]));
+      for (const m of v.messages || []) {
+        const text = m.text?.body ?? m.button?.text ?? m.interactive?.button_reply?.title
+          ?? m.interactive?.list_reply?.title ?? null;
+        out.messages.push({
+          provider_msg_id: m.id,
+          channel: 'whatsapp',
+          from: String(m.from || ''),
+          to: own,
+          body: text == null ? `[${m.type || 'unsupported'}]` : String(text),
+          name: names.get(m.from) || null,
+          at: at(m.timestamp)
+        });
+      }
+    }
+  }
+  return out;
+}
+
+module.exports = { providerError, request, cloudMessage, describeCloudError, safeEqual, parseCloudWebhook };
@@ -0,0 +1,55 @@
+// services/providers/cloudapi.js — Meta WhatsApp Cloud API (WhatsApp only)
+// Env: WA_CLOUD_TOKEN, WA_CLOUD_PHONE_ID, WA_CLOUD_BUSINESS_ID (templates are managed on the business account),
+//      WA_CLOUD_BASE_URL (default https://graph.facebook.com/v20.0)
+//      Webhooks: WA_CLOUD_APP_SECRET (X-Hub-Signature-256), WA_CLOUD_VERIFY_TOKEN (subscription handshake)
+
+const crypto = require('crypto');
+const { providerError, request, cloudMessage, describeCloudError, safeEqual, parseCloudWebhook } = require('./base');
+
+const NAME = 'cloudapi';
+
+const env = () => ({
+  token: process.env.WA_CLOUD_TOKEN,
+  phoneId: process.env.WA_CLOUD_PHONE_ID,
+  base: (process.env.WA_CLOUD_BASE_URL || 'https://graph.facebook.com/v20.0').replace(/\/+$/, '')
+});
+
+function configured() {
+  const e = env();
+  return !!(e.token && e.phoneId);
+}
+
+async function send({ to, channel, body, template }) {
+  if (channel !== 'whatsapp') {
+    throw providerError({ provider: NAME, code: 'channel_unsupported', message: `cloudapi cannot send ${channel}` });
+  }
+  const e = env();
+  if (!configured()) throw providerError({ provider: NAME, code: 'provider_not_configured', message: 'WA_CLOUD_TOKEN / WA_CLOUD_PHONE_ID missing' });
+
+  const json = await request(NAME, `${e.base}/${encodeURIComponent(e.phoneId)}/messages`, {
+    headers: { Authorization: `Bearer ${e.token}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(cloudMessage({ to, body, template })),
+    describe: describeCloudError
+  });
+  return { provider_msg_id: json.messages?.[0]?.id || null, status: json.messages?.[0]?.message_status || 'accepted' };
+}
+
+/** X-Hub-Signature-256: sha256=HMAC(app secret, raw body) */
+function verifyWebhook({ headers, rawBody }) {
+  const secret = process.env.WA_CLOUD_APP_SECRET;
+  const sig = headers['x-hub-signature-256'];
+  if (!secret || !sig || !rawBody) return false;
+  const digest = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+  return safeEqual(sig, `sha256=${digest}`);
+}
+
+/** GET handshake when the webhook is registered: hub.verify_token must match */
+function verifySubscription(query) {
+  const token = process.env.WA_CLOUD_VERIFY_TOKEN;
+  return !!token && query['hub.mode'] === 'subscribe' && safeEqual(query['hub.verify_token'], token);
+}
+
+module.exports = {
+  name: NAME, channels: ['whatsapp'], configured, send,
+  verifyWebhook, verifySubscription, parseWebhook: parseCloudWebhook
+};
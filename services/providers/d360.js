@@ -0,0 +1,39 @@
+// services/providers/d360.js — 360dialog WhatsApp Business API (Cloud API compatible, WhatsApp only)
+// Env: D360_API_KEY, D360_BASE_URL (default https://waba-v2.360dialog.io)
+//      D360_WEBHOOK_TOKEN: 360dialog does not sign webhooks, so register the URL with this token
+//      as an X-Webhook-Token header (or ?token=) and it is checked on every call
+
+const { providerError, request, cloudMessage, describeCloudError, safeEqual, parseCloudWebhook } = require('./base');
+
+const NAME = 'd360';
+
+const env = () => ({
+  key: process.env.D360_API_KEY,
+  base: (process.env.D360_BASE_URL || 'https://waba-v2.360dialog.io').replace(/\/+$/, '')
+});
+
+function configured() {
+  return !!env().key;
+}
+
+async function send({ to, channel, body, template }) {
+  if (channel !== 'whatsapp') {
+    throw providerError({ provider: NAME, code: 'channel_unsupported', message: `d360 cannot send ${channel}` });
+  }
+  const e = env();
+  if (!e.key) throw providerError({ provider: NAME, code: 'provider_not_configured', message: 'D360_API_KEY missing' });
+
+  const json = await request(NAME, `${e.base}/messages`, {
+    headers: { 'D360-API-KEY': e.key, 'Content-Type': 'application/json' },
+    body: JSON.stringify(cloudMessage({ to, body, template })),
+    describe: describeCloudError
+  });
+  return { provider_msg_id: json.messages?.[0]?.id || null, status: 'accepted' };
+}
+
+function verifyWebhook({ headers, params }) {
+  const token = process.env.D360_WEBHOOK_TOKEN;
+  return !!token && safeEqual(headers['x-webhook-token'] || params?.token, token);
+}
+
+module.exports = { name: NAME, channels: ['whatsapp'], configured, send, verifyWebhook, parseWebhook: parseCloudWebhook };
@@ -0,0 +1,63 @@
+// services/providers/index.js — pick a messaging provider adapter (MSG_PROVIDER) and send through it
+// MSG_PROVIDER: manual (default; staff send wa.me / sms: links themselves) | twilio | cloudapi | d360
+
+const { providerError } = require('./base');
+const { toE164Digits } = require('../../util/phone');
+
+const ADAPTERS = {
+  twilio: require('./twilio'),
+  cloudapi: require('./cloudapi'),
+  d360: require('./d360')
+};
+const ALIASES = { '360dialog': 'd360', whatsapp_cloud: 'cloudapi' };
+
+/** Canonical provider name; unknown names are returned as-is so callers can report them */
+function providerName(name) {
+  const n = String(name || process.env.MSG_PROVIDER || 'manual').trim().toLowerCase();
+  return ALIASES[n] || n;
+}
+
+/** Adapter for `name` (default MSG_PROVIDER), or null for manual */
+function getProvider(name) {
+  const n = providerName(name);
+  if (n === 'manual') return null;
+  const adapter = ADAPTERS[n];
+  if (!adapter) throw providerError({ provider: n, code: 'unknown_provider', message: `unknown provider ${n}` });
+  return adapter;
+}
+
+/**
+ * Send one message. Resolves to { provider, provider_msg_id, status };
+ * rejects with a ProviderError (see ./base) — check err.transient before retrying.
+ */
+async function sendMessage({ provider, to, channel = 'whatsapp', body, template = null }) {
+  const adapter = getProvider(provider);
+  if (!adapter) {
+    throw providerError({ provider: 'manual', code: 'provider_not_configured', message: 'MSG_PROVIDER is manual' });
+  }
+  if (!adapter.channels.includes(channel)) {
+    throw providerError({ provider: adapter.name, code: 'channel_unsupported', message: `${adapter.name} cannot send ${channel}` });
+  }
+  const dest = toE164Digits(to);
+  if (dest.length < 8 || dest.length > 15) {
+    throw providerError({ provider: adapter.name, code: 'invalid_recipient', message: 'recipient phone is not a valid number' });
+  }
+  if (!body && !template?.name) {
+    throw providerError({ provider: adapter.name, code: 'empty_message', message: 'message body is empty' });
+  }
+  const out = await adapter.send({ to: dest, channel, body, template });
+  return { provider: adapter.name, ...out };
+}
+
+/**
+ * First of `channels` the configured provider can actually deliver on, or null
+ * (manual, unknown provider, or missing credentials).
+ */
+function deliverableChannel(channels, provider) {
+  let adapter;
+  try { adapter = getProvider(provider); } catch { return null; }
+  if (!adapter) return null;
+  return channels.find(c => adapter.channels.includes(c) && adapter.configured(c)) || null;
+}
+
+module.exports = { providerName, getProvider, sendMessage, deliverableChannel, ADAPTERS };
@@ -0,0 +1,100 @@
+// services/providers/twilio.js — Twilio Programmable Messaging (WhatsApp + SMS)
+// Env: TWILIO_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM_WHATSAPP, TWILIO_FROM_SMS,
+//      TWILIO_BASE_URL (default https://api.twilio.com; point at a local fake in tests)
+// Webhooks are signed with TWILIO_AUTH_TOKEN over the public URL (WEBHOOK_BASE_URL behind a proxy).
+
+const crypto = require('crypto');
+const { providerError, request, safeEqual } = require('./base');
+
+const NAME = 'twilio';
+
+const env = () => ({
+  sid: process.env.TWILIO_SID,
+  token: process.env.TWILIO_AUTH_TOKEN,
+  fromWhatsapp: process.env.TWILIO_FROM_WHATSAPP,
+  fromSms: process.env.TWILIO_FROM_SMS,
+  base: (process.env.TWILIO_BASE_URL || 'https://api.twilio.com').replace(/\/+$/, '')
+});
+
+const plus = (n) => (String(n).startsWith('+') ? String(n) : `+${n}`);
+
+function configured(channel = null) {
+  const e = env();
+  const from = channel === 'sms' ? e.fromSms : channel === 'whatsapp' ? e.fromWhatsapp : (e.fromWhatsapp || e.fromSms);
+  return !!(e.sid && e.token && from);
+}
+
+// Twilio error codes: 21211/21614 invalid or non-mobile "To", 63016 outside the WhatsApp session window
+function describe(json) {
+  const provider_code = json.code ?? null;
+  const code = provider_code === 21211 || provider_code === 21614 ? 'invalid_recipient'
+    : provider_code === 63016 ? 'template_required'
+    : provider_code === 20429 ? 'rate_limited'
+    : undefined;
+  return { code, message: json.message, provider_code, transient: code === 'rate_limited' ? true : undefined };
+}
+
+async function send({ to, channel, body }) {
+  const e = env();
+  const from = channel === 'sms' ? e.fromSms : e.fromWhatsapp;
+  if (!e.sid || !e.token || !from) {
+    throw providerError({ provider: NAME, code: 'provider_not_configured', message: `twilio ${channel} sender not configured` });
+  }
+  const prefix = channel === 'whatsapp' ? 'whatsapp:' : '';
+  const form = new URLSearchParams({
+    To: `${prefix}${plus(to)}`,
+    From: `${prefix}${String(from).replace(/^whatsapp:/, '')}`,
+    Body: body
+  });
+
+  const json = await request(NAME, `${e.base}/2010-04-01/Accounts/${encodeURIComponent(e.sid)}/Messages.json`, {
+    headers: {
+      Authorization: `Basic ${Buffer.from(`${e.sid}:${e.token}`).toString('base64')}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: form.toString(),
+    describe
+  });
+  return { provider_msg_id: json.sid, status: json.status || 'queued' };
+}
+
+/** X-Twilio-Signature: base64 HMAC-SHA1(auth token, url + each POST param name+value, sorted by name) */
+function verifyWebhook({ headers, url, params }) {
+  const token = env().token;
+  const sig = headers['x-twilio-signature'];
+  if (!token || !sig) return false;
+  const data = Object.keys(params || {}).sort().reduce((acc, k) => acc + k + params[k], url);
+  const digest = crypto.createHmac('sha1', token).update(Buffer.from(data, 'utf8')).digest('base64');
+  return safeEqual(sig, digest);
+}
+
+const STATUSES = { sent: 'sent', delivered: 'delivered', read: 'read', undelivered: 'failed', failed: 'failed' };
+const unprefix = (n) => String(n || '').replace(/^whatsapp:/, '').replace(/\D/g, '');
+
+/** Status callback (MessageStatus) or inbound message (Body) -> { statuses, messages } */
+function parseWebhook(p) {
+  const out = { statuses: [], messages: [] };
+  const sid = p.MessageSid || p.SmsSid;
+  const status = p.MessageStatus || p.SmsStatus;
+  if (STATUSES[status]) {
+    out.statuses.push({
+      provider_msg_id: sid,
+      status: STATUSES[status],
+      error: p.ErrorCode ? `${p.ErrorCode}: ${p.ErrorMessage || ''}`.trim() : null,
+      at: new Date()
+    });
+  } else if (p.Body != null && p.From) {
+    out.messages.push({
+      provider_msg_id: sid,
+      channel: String(p.From).startsWith('whatsapp:') ? 'whatsapp' : 'sms',
+      from: unprefix(p.From),
+      to: unprefix(p.To),
+      body: String(p.Body),
+      name: p.ProfileName || null,
+      at: new Date()
+    });
+  }
+  return out;
+}
+
+module.exports = { name: NAME, channels: ['whatsapp', 'sms'], configured, send, verifyWebhook, parseWebhook };
@@ -0,0 +1,311 @@
+// services/queue.js — operator queue control (call next / serve / skip / recall / no-show)
+// Booking lifecycle: pending -> called -> serving -> served | skipped | no_show
+
+const dayjs = require('dayjs');
+const db = require('./db');
+const { isAssignedMode, setNowServing, recalcAvgServiceSeconds } = require('./metrics');
+const { publish } = require('./liveBus');
+const { WAITING, ACTIVE, CLOSED, rankSql, rankOf } = require('./bookingStatus');
+const { recordBookingEvent } = require('./bookingEvents');
+const { notify, checkTurnNear } = require('./notificationRules');
+
+const num = (x, d = 0) => { const n = Number(x); return Number.isFinite(n) ? n : d; };
+
+// customers running late may move back at most this many places, this many times per booking
+const LATE_MAX_POSITIONS = num(process.env.LATE_MAX_POSITIONS, 5);
+const LATE_MAX_TIMES = num(process.env.LATE_MAX_TIMES, 2);
+
+/** action -> { from: allowed current statuses, to: next status, event: live event type } */
+const TRANSITIONS = {
+  call:     { from: [...WAITING, 'skipped'], to: 'called', event: 'token_called' },
+  recall:   { from: ['called', 'skipped', 'no_show'], to: 'called', event: 'token_recalled' },
+  serve:    { from: ['called'], to: 'serving', event: 'serving_started' },
+  complete: { from: ['called', 'serving'], to: 'served', event: 'booking_served' },
+  skip:     { from: [...WAITING, 'called'], to: 'skipped', event: 'booking_skipped' },
+  no_show:  { from: ['called'], to: 'no_show', event: 'booking_no_show' }
+};
+
+/** Error with an HTTP status; `details` is merged into the JSON error body */
+function queueError(statusCode, message, details) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (details) err.details = details;
+  return err;
+}
+
+async function getTableColumns(table) {
+  const [rows] = await db.query(
+    `SELECT column_name FROM information_schema.columns
+     WHERE table_schema = DATABASE() AND table_name = ?`,
+    [table]
+  );
+  return new Set(rows.map(r => r.column_name));
+}
+
+/** SET clause for moving a booking to `status`, stamping called_at/served_at if present */
+function statusSet(status, cols) {
+  const sets = ['status = ?'];
+  const params = [status];
+  if (status === 'called' && cols.has('called_at')) sets.push('called_at = NOW()');
+  if (status === 'served' && cols.has('served_at')) sets.push('served_at = NOW()');
+  if (cols.has('updated_at')) sets.push('updated_at = NOW()');
+  return { sql: sets.join(', '), params };
+}
+
+/** Same scope as token numbering: per assignee, or the unassigned org queue */
+function scopeOf(assigned_user_id) {
+  return assigned_user_id
+    ? { sql: 'assigned_user_id = ?', params: [num(assigned_user_id)] }
+    : { sql: 'assigned_user_id IS NULL', params: [] };
+}
+
+/**
+ * Update now-serving / avg metrics and publish `event` to live clients after a transition.
+ * Runs after the commit, so it never throws: the transition already happened.
+ */
+async function afterTransition(booking, status, event) {
+  const org_id = booking.org_id;
+  const assigned_user_id = booking.assigned_user_id || null;
+  const mode = isAssignedMode() && assigned_user_id ? 'assigned' : 'org';
+
+  try {
+    if (status === 'called' || status === 'serving') {
+      await setNowServing({ org_id, token_number: booking.token_number, assigned_user_id, mode });
+    }
+    if (status === 'served') {
+      await recalcAvgServiceSeconds({ org_id, assigned_user_id: mode === 'assigned' ? assigned_user_id : null });
+    }
+  } catch (err) {
+    console.warn(`[queue] metrics after ${event} failed for org ${org_id}:`, err.message);
+  }
+  publish(event, { org_id, assigned_user_id, booking: booking.id ? booking : null });
+
+  // customer messages: the called token, and whoever the line just moved up
+  try {
+    if (status === 'called') await notify('called', booking);
+    if (status === 'called' || status === 'skipped') await checkTurnNear({ org_id, assigned_user_id });
+  } catch (err) {
+    console.warn(`[queue] messages after ${event} failed for org ${org_id}:`, err.message);
+  }
+}
+
+/**
+ * Apply one action to a single booking.
+ * Throws { statusCode: 404 } when missing, { statusCode: 409 } on an invalid transition.
+ */
+async function transition(bookingId, action) {
+  const t = TRANSITIONS[action];
+  if (!t) throw queueError(400, 'unknown_action');
+  const cols = await getTableColumns('bookings');
+
+  const booking = await db.withTransaction(async (conn) => {
+    const [rows] = await conn.query(`SELECT * FROM bookings WHERE id = ? FOR UPDATE`, [bookingId]);
+    const b = rows[0];
+    if (!b) throw queueError(404, 'booking_not_found');
+    if (!t.from.includes(b.status)) {
+      throw queueError(409, 'invalid_transition', { from: b.status, action });
+    }
+    const set = statusSet(t.to, cols);
+    await conn.query(`UPDATE bookings SET ${set.sql} WHERE id = ?`, [...set.params, bookingId]);
+    return { ...b, status: t.to };
+  });
+
+  await afterTransition(booking, t.to, t.event);
+  return booking;
+}
+
+/**
+ * Call the next waiting token for an org (or one assignee) today.
+ * With complete_current, bookings currently called/serving in the same scope are marked served.
+ * Returns { booking, completed } — booking is null when nobody is waiting.
+ */
+async function callNext({ org_id, assigned_user_id = null, complete_current = true }) {
+  const today = dayjs().format('YYYY-MM-DD');
+  const scope = scopeOf(assigned_user_id);
+  const cols = await getTableColumns('bookings');
+
+  const out = await db.withTransaction(async (conn) => {
+    let completed = [];
+    if (complete_current) {
+      const [cur] = await conn.query(
+        `SELECT id FROM bookings
+          WHERE org_id = ? AND booking_date = ? AND ${scope.sql}
+            AND status IN (${ACTIVE.map(() => '?').join(',')})
+          FOR UPDATE`,
+        [org_id, today, ...scope.params, ...ACTIVE]
+      );
+      completed = cur.map(r => r.id);
+      if (completed.length) {
+        const set = statusSet('served', cols);
+        await conn.query(`UPDATE bookings SET ${set.sql} WHERE id IN (?)`, [...set.params, completed]);
+      }
+    }
+
+    const [next] = await conn.query(
+      `SELECT * FROM bookings
+        WHERE org_id = ? AND booking_date = ? AND ${scope.sql}
+          AND status IN (${WAITING.map(() => '?').join(',')})
+        ORDER BY ${rankSql(cols)} ASC, id ASC
+        LIMIT 1
+        FOR UPDATE`,
+      [org_id, today, ...scope.params, ...WAITING]
+    );
+    const b = next[0];
+    if (!b) return { booking: null, completed };
+
+    const set = statusSet('called', cols);
+    await conn.query(`UPDATE bookings SET ${set.sql} WHERE id = ?`, [...set.params, b.id]);
+    return { booking: { ...b, status: 'called' }, completed };
+  });
+
+  if (out.completed.length) {
+    await afterTransition({ org_id, assigned_user_id, token_number: null }, 'served', 'booking_served');
+  }
+  if (out.booking) await afterTransition(out.booking, 'called', 'token_called');
+  return out;
+}
+
+/**
+ * Cancel a booking that has not been served yet.
+ * cancelled_by: 'staff' | 'customer'; actor_user_id is the staff user when known.
+ * Re-broadcasts the queue and queues the customer's cancelled message (services/notificationRules).
+ */
+async function cancel(bookingId, { reason = null, cancelled_by = 'staff', actor_user_id = null } = {}) {
+  if (!['staff', 'customer'].includes(cancelled_by)) throw queueError(400, 'invalid_cancelled_by');
+  const cols = await getTableColumns('bookings');
+  let fromStatus = null;
+
+  const booking = await db.withTransaction(async (conn) => {
+    const [rows] = await conn.query(`SELECT * FROM bookings WHERE id = ? FOR UPDATE`, [bookingId]);
+    const b = rows[0];
+    if (!b) throw queueError(404, 'booking_not_found');
+    if (CLOSED.includes(b.status)) throw queueError(409, 'booking_closed', { from: b.status });
+    fromStatus = b.status;
+
+    const set = statusSet('cancelled', cols);
+    const sets = [set.sql];
+    const params = [...set.params];
+    if (cols.has('cancelled_at')) sets.push('cancelled_at = NOW()');
+    if (cols.has('cancelled_by')) { sets.push('cancelled_by = ?'); params.push(cancelled_by); }
+    if (cols.has('cancelled_by_user_id')) { sets.push('cancelled_by_user_id = ?'); params.push(actor_user_id); }
+    if (cols.has('cancel_reason')) { sets.push('cancel_reason = ?'); params.push(reason ? String(reason).slice(0, 255) : null); }
+    await conn.query(`UPDATE bookings SET ${sets.join(', ')} WHERE id = ?`, [...params, bookingId]);
+    await recordBookingEvent(conn, {
+      booking: b, action: 'cancelled', actor: cancelled_by, actor_user_id, details: { reason, from: b.status }
+    });
+    return { ...b, status: 'cancelled', cancelled_by, cancel_reason: reason };
+  });
+
+  publish('booking_cancelled', {
+    org_id: booking.org_id, assigned_user_id: booking.assigned_user_id || null, booking, cancelled_by
+  });
+
+  await notify('cancelled', booking, { reason: reason || '', cancelled_by });
+  if (WAITING.includes(fromStatus)) {
+    await checkTurnNear({ org_id: booking.org_id, assigned_user_id: booking.assigned_user_id || null });
+  }
+  return booking;
+}
+
+/** Load and lock a booking the customer may still act on: waiting, today */
+async function lockWaitingToday(conn, bookingId) {
+  const [rows] = await conn.query(`SELECT * FROM bookings WHERE id = ? FOR UPDATE`, [bookingId]);
+  const b = rows[0];
+  if (!b) throw queueError(404, 'booking_not_found');
+  if (!WAITING.includes(b.status)) throw queueError(409, 'not_waiting', { status: b.status });
+  if (dayjs(b.booking_date).format('YYYY-MM-DD') !== dayjs().format('YYYY-MM-DD')) {
+    throw queueError(409, 'not_today');
+  }
+  return b;
+}
+
+/**
+ * Customer is running late: move the booking back `positions` places among today's waiting
+ * bookings in its queue (token numbers stay; bookings.queue_rank changes the call order).
+ * Returns { booking, moved } — moved may be smaller than asked near the end of the line.
+ */
+async function runningLate(bookingId, { positions = 1 } = {}) {
+  positions = Math.trunc(num(positions, 1));
+  if (positions < 1 || positions > LATE_MAX_POSITIONS) {
+    throw queueError(400, 'invalid_positions', { max: LATE_MAX_POSITIONS });
+  }
+  const cols = await getTableColumns('bookings');
+  if (!cols.has('queue_rank')) throw queueError(501, 'running_late_unavailable');
+
+  const out = await db.withTransaction(async (conn) => {
+    const b = await lockWaitingToday(conn, bookingId);
+    const [[{ n }]] = await conn.query(
+      `SELECT COUNT(*) AS n FROM booking_events WHERE booking_id = ? AND action = 'running_late'`, [b.id]
+    );
+    if (num(n) >= LATE_MAX_TIMES) throw queueError(409, 'late_limit_reached', { max: LATE_MAX_TIMES });
+
+    const scope = scopeOf(b.assigned_user_id);
+    const rank = rankSql(cols);
+    const [line] = await conn.query(
+      `SELECT id, token_number, queue_rank FROM bookings
+        WHERE org_id = ? AND booking_date = ? AND ${scope.sql}
+          AND status IN (${WAITING.map(() => '?').join(',')})
+        ORDER BY ${rank} ASC, id ASC
+        FOR UPDATE`,
+      [b.org_id, b.booking_date, ...scope.params, ...WAITING]
+    );
+    const at = line.findIndex(r => r.id === b.id);
+    const behind = line.slice(at + 1);
+    if (!behind.length) throw queueError(409, 'already_last');
+
+    const moved = Math.min(positions, behind.length);
+    const after = behind[moved - 1];
+    const next = behind[moved];
+    // midpoint keeps everyone else's order; queue_rank is DECIMAL(14,6), room for ~20 halvings per gap
+    const newRank = next ? (rankOf(after) + rankOf(next)) / 2 : rankOf(after) + 1;
+
+    const sets = ['queue_rank = ?'];
+    if (cols.has('updated_at')) sets.push('updated_at = NOW()');
+    await conn.query(`UPDATE bookings SET ${sets.join(', ')} WHERE id = ?`, [newRank, b.id]);
+    await recordBookingEvent(conn, {
+      booking: b, action: 'running_late', actor: 'customer',
+      details: { asked: positions, moved, behind_token: after.token_number }
+    });
+    return { booking: { ...b, queue_rank: newRank }, moved, behind_token: after.token_number };
+  });
+
+  publish('customer_running_late', {
+    org_id: out.booking.org_id, assigned_user_id: out.booking.assigned_user_id || null,
+    booking: out.booking, moved: out.moved, behind_token: out.behind_token
+  });
+  await checkTurnNear({ org_id: out.booking.org_id, assigned_user_id: out.booking.assigned_user_id || null });
+  return out;
+}
+
+/** Customer confirms they are on their way, optionally with minutes until arrival */
+async function onMyWay(bookingId, { eta_minutes = null } = {}) {
+  const minutes = eta_minutes == null || eta_minutes === '' ? null : Math.trunc(num(eta_minutes, -1));
+  if (minutes != null && (minutes < 0 || minutes > 24 * 60)) throw queueError(400, 'invalid_eta_minutes');
+  const cols = await getTableColumns('bookings');
+
+  const booking = await db.withTransaction(async (conn) => {
+    const b = await lockWaitingToday(conn, bookingId);
+    const sets = [];
+    const params = [];
+    if (cols.has('on_the_way_at')) sets.push('on_the_way_at = NOW()');
+    if (cols.has('arrival_eta_at')) {
+      sets.push('arrival_eta_at = ?');
+      params.push(minutes == null ? null : dayjs().add(minutes, 'minute').format('YYYY-MM-DD HH:mm:ss'));
+    }
+    if (sets.length) {
+      if (cols.has('updated_at')) sets.push('updated_at = NOW()');
+      await conn.query(`UPDATE bookings SET ${sets.join(', ')} WHERE id = ?`, [...params, b.id]);
+    }
+    await recordBookingEvent(conn, {
+      booking: b, action: 'on_the_way', actor: 'customer', details: { eta_minutes: minutes }
+    });
+    return b;
+  });
+
+  publish('customer_on_the_way', {
+    org_id: booking.org_id, assigned_user_id: booking.assigned_user_id || null, booking, eta_minutes: minutes
+  });
+  return { booking, eta_minutes: minutes };
+}
+
+module.exports = { TRANSITIONS, WAITING, ACTIVE, CLOSED, transition, callNext, cancel, runningLate, onMyWay };
@@ -0,0 +1,91 @@
+// services/queueState.js — token-only view of today's queues (no names/phones), for live clients
+
+const dayjs = require('dayjs');
+const db = require('./db');
+const { WAITING, ACTIVE, rankSql } = require('./bookingStatus');
+
+const NEXT_TOKENS = 5;
+
+async function getTableColumns(table) {
+  const [rows] = await db.query(
+    `SELECT column_name FROM information_schema.columns
+     WHERE table_schema = DATABASE() AND table_name = ?`,
+    [table]
+  );
+  return new Set(rows.map(r => r.column_name));
+}
+
+/**
+ * Snapshot of today's queues for an org, or one assignee's queue.
+ * Returns { org_id, date, now_serving, avg_service_seconds, break_until,
+ *           queues: [{ assigned_user_id, now_serving, break_until, active_tokens, next_tokens, waiting_count }] }
+ */
+async function queueSnapshot({ org_id, assigned_user_id = null }) {
+  const date = dayjs().format('YYYY-MM-DD');
+  const states = [...WAITING, ...ACTIVE];
+
+  const [orgRows] = await db.query(
+    `SELECT now_serving_token, avg_service_seconds, break_until FROM organizations WHERE id = ? LIMIT 1`,
+    [org_id]
+  );
+  const org = orgRows[0] || {};
+
+  const scope = assigned_user_id ? 'AND assigned_user_id = ?' : '';
+  const scopeParams = assigned_user_id ? [assigned_user_id] : [];
+  const [rows] = await db.query(
+    `SELECT id, assigned_user_id, token_number, status
+       FROM bookings
+      WHERE org_id = ? AND booking_date = ? ${scope}
+        AND status IN (${states.map(() => '?').join(',')})
+      ORDER BY ${rankSql(await getTableColumns('bookings'))} ASC, id ASC`,
+    [org_id, date, ...scopeParams, ...states]
+  );
+  const [metrics] = await db.query(
+    `SELECT assigned_user_id, now_serving_token, break_until
+       FROM assigned_live_metrics
+      WHERE org_id = ? AND booking_date = ? ${scope}`,
+    [org_id, date, ...scopeParams]
+  );
+
+  const queues = new Map();
+  const queueFor = (uid) => {
+    const key = uid == null ? null : Number(uid);
+    if (!queues.has(key)) {
+      queues.set(key, {
+        assigned_user_id: key, now_serving: null, break_until: null,
+        active_tokens: [], next_tokens: [], waiting_count: 0
+      });
+    }
+    return queues.get(key);
+  };
+
+  for (const m of metrics) {
+    const q = queueFor(m.assigned_user_id);
+    q.now_serving = m.now_serving_token ?? null;
+    q.break_until = m.break_until || null;
+  }
+  for (const r of rows) {
+    const q = queueFor(r.assigned_user_id);
+    if (ACTIVE.includes(r.status)) {
+      q.active_tokens.push({ id: r.id, token_number: r.token_number, status: r.status });
+    } else {
+      q.waiting_count += 1;
+      if (q.next_tokens.length < NEXT_TOKENS) q.next_tokens.push(r.token_number);
+    }
+  }
+  if (!assigned_user_id) {
+    const shared = queues.get(null) || queueFor(null);
+    if (shared.now_serving == null) shared.now_serving = org.now_serving_token ?? null;
+  }
+
+  return {
+    org_id: Number(org_id),
+    date,
+    now_serving: org.now_serving_token ?? null,
+    avg_service_seconds: org.avg_service_seconds ?? null,
+    break_until: org.break_until || null,
+    queues: [...queues.values()].sort((a, b) => (a.assigned_user_id ?? -1) - (b.assigned_user_id ?? -1))
+  };
+}
+
+module.exports = { queueSnapshot };
@@ -0,0 +1,92 @@
+// services/slots.js — appointment slot availability from slot_templates
+
+const dayjs = require('dayjs');
+const db = require('./db');
+const { openWindows, withinWindows } = require('./hours');
+
+const num = (x, d = 0) => { const n = Number(x); return Number.isFinite(n) ? n : d; };
+
+// Bookings in these states no longer hold their slot
+const RELEASED = ['cancelled', 'no_show'];
+
+const toMinutes = (hhmm) => {
+  const [h, m] = String(hhmm).split(':').map(Number);
+  return h * 60 + (m || 0);
+};
+const fromMinutes = (mins) =>
+  `${String(Math.floor(mins / 60)).padStart(2, '0')}:${String(mins % 60).padStart(2, '0')}`;
+
+/** HH:mm, or null */
+function parseSlot(s) {
+  const m = /^(\d{1,2}):(\d{2})(?::00)?$/.exec(String(s || '').trim());
+  if (!m || Number(m[1]) > 23 || Number(m[2]) > 59) return null;
+  return `${m[1].padStart(2, '0')}:${m[2]}`;
+}
+
+/**
+ * Active templates for one date. Assignee-specific templates replace the org defaults
+ * when any exist for that weekday.
+ */
+async function templatesFor({ org_id, assigned_user_id = null, date }) {
+  const weekday = dayjs(date).day();
+  const [rows] = await db.query(
+    `SELECT * FROM slot_templates
+      WHERE org_id = ? AND is_active = 1
+        AND (weekday IS NULL OR weekday = ?)
+        AND (assigned_user_id IS NULL OR assigned_user_id = ?)
+      ORDER BY start_time ASC`,
+    [org_id, weekday, num(assigned_user_id, 0)]
+  );
+  const own = rows.filter(r => assigned_user_id && num(r.assigned_user_id) === num(assigned_user_id));
+  return own.length ? own : rows.filter(r => r.assigned_user_id == null);
+}
+
+/**
+ * Slots for one date with booked/available counts.
+ * Slots outside opening hours or inside a closure are dropped.
+ * Returns [] when no templates apply (walk-in only day).
+ */
+async function computeSlots({ org_id, assigned_user_id = null, date, conn = db }) {
+  const templates = await templatesFor({ org_id, assigned_user_id, date });
+  if (!templates.length) return [];
+
+  const scopeClause = assigned_user_id ? 'AND assigned_user_id = ?' : 'AND assigned_user_id IS NULL';
+  const [counts] = await conn.query(
+    `SELECT DATE_FORMAT(scheduled_at, '%H:%i') AS slot, COUNT(*) AS c
+       FROM bookings
+      WHERE org_id = ? AND booking_date = ? ${scopeClause}
+        AND scheduled_at IS NOT NULL
+        AND status NOT IN (${RELEASED.map(() => '?').join(',')})
+      GROUP BY slot`,
+    [org_id, date, ...(assigned_user_id ? [num(assigned_user_id)] : []), ...RELEASED]
+  );
+  const booked = new Map(counts.map(r => [r.slot, num(r.c)]));
+
+  const windows = await openWindows(org_id, date, conn);
+  const now = dayjs();
+  const bySlot = new Map();
+  for (const t of templates) {
+    const step = Math.max(5, num(t.slot_minutes, 15));
+    const end = toMinutes(t.end_time);
+    for (let m = toMinutes(t.start_time); m + step <= end; m += step) {
+      const start = fromMinutes(m);
+      const startAt = dayjs(`${date} ${start}`);
+      if (!withinWindows(windows, startAt, startAt.add(step, 'minute'))) continue;
+      const prev = bySlot.get(start);
+      const capacity = num(t.capacity, 1) + (prev ? prev.capacity : 0);
+      const b = booked.get(start) || 0;
+      const past = startAt.isBefore(now);
+      bySlot.set(start, {
+        start,
+        end: fromMinutes(m + step),
+        capacity,
+        booked: b,
+        available: past ? 0 : Math.max(0, capacity - b),
+        past
+      });
+    }
+  }
+  return [...bySlot.values()].sort((a, b) => toMinutes(a.start) - toMinutes(b.start));
+}
+
+module.exports = { RELEASED, parseSlot, templatesFor, computeSlots };
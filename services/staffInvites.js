@@ -0,0 +1,103 @@
+// services/staffInvites.js — invite staff by email
+// An invite is a users row with an unusable password and a reset_token that lives
+// INVITE_EXPIRY_HOURS (default 72); the emailed link sets the password through the normal
+// POST /auth/confirm-reset. Inviting someone already in the org sends them a fresh link.
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const db = require('./db');
+const { sendEmail, passwordLink } = require('./email');
+
+const num = (x, d = 0) => { const n = Number(x); return Number.isFinite(n) ? n : d; };
+
+const INVITE_EXPIRY_HOURS = num(process.env.INVITE_EXPIRY_HOURS, 72);
+const ROLES = { organization_admin: 'an admin', receptionist: 'a receptionist', assigned_user: 'a service provider' };
+
+async function getCols(table) {
+  try {
+    const [rows] = await db.query(
+      `SELECT column_name FROM information_schema.columns
+       WHERE table_schema = DATABASE() AND table_name = ?`,
+      [table]
+    );
+    return new Set(rows.map(r => String(r.column_name)));
+  } catch {
+    return new Set();
+  }
+}
+
+function inviteError(statusCode, message, details) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (details) err.details = details;
+  return err;
+}
+
+/**
+ * Create (or refresh) the invite and email it.
+ * Resolves to { user_id, email, role, created, emailed }; emailed is false when SMTP failed, the
+ * invite stands and can be sent again. 400 invalid_email / invalid_role, 409 email_taken.
+ */
+async function inviteStaff({ org_id, email, name, role = 'receptionist', inviter = null }) {
+  email = String(email || '').trim().toLowerCase();
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) throw inviteError(400, 'invalid_email');
+  if (!ROLES[role]) throw inviteError(400, 'invalid_role', { roles: Object.keys(ROLES) });
+
+  const [[org]] = await db.query(`SELECT id, name FROM organizations WHERE id = ? LIMIT 1`, [org_id]);
+  if (!org) throw inviteError(404, 'not_found');
+
+  const token = crypto.randomBytes(24).toString('hex');
+  const [existing] = await db.query(`SELECT id, org_id, name, role FROM users WHERE email = ? LIMIT 1`, [email]);
+  let user = existing[0];
+  let created = false;
+
+  if (user) {
+    if (num(user.org_id) !== num(org_id)) throw inviteError(409, 'email_taken');
+    await db.query(
+      `UPDATE users SET reset_token = ?, reset_token_expiry = DATE_ADD(NOW(), INTERVAL ? HOUR), updated_at = NOW() WHERE id = ?`,
+      [token, INVITE_EXPIRY_HOURS, user.id]
+    );
+  } else {
+    // nobody knows this password; the invite link replaces it
+    const password_hash = await bcrypt.hash(crypto.randomBytes(24).toString('hex'), 10);
+    const uid = `u_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
+    const display = String(name || email.split('@')[0]).trim().slice(0, 120);
+    const [r] = await db.query(
+      `INSERT INTO users (uid, org_id, name, email, password, password_hash, role, reset_token, reset_token_expiry, created_at, updated_at)
+       VALUES (?, ?, ?, ?, NULL, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR), NOW(), NOW())`,
+      [uid, org_id, display, email, password_hash, role, token, INVITE_EXPIRY_HOURS]
+    );
+    user = { id: r.insertId, org_id, name: display, role };
+    created = true;
+
+    const uoCols = await getCols('user_orgs');
+    if (uoCols.has('user_id') && uoCols.has('org_id')) {
+      const rel = { user_id: user.id, org_id };
+      if (uoCols.has('role')) rel.role = role;
+      await db.query(`INSERT IGNORE INTO user_orgs SET ?`, [rel]);
+    }
+  }
+
+  let emailed = false;
+  try {
+    emailed = !!(await sendEmail({
+      to: email,
+      kind: 'staff_invite',
+      org_id,
+      user_id: user.id,
+      vars: {
+        name: user.name || email,
+        org_name: org.name,
+        inviter_name: inviter?.name || inviter?.email || org.name,
+        role_label: ROLES[user.role] || ROLES[role],
+        invite_link: passwordLink(token, { invite: '1' }),
+        expires_hours: INVITE_EXPIRY_HOURS
+      }
+    }));
+  } catch (err) {
+    console.warn(`[invites] email to ${email} failed:`, err.code || err.message);
+  }
+  return { user_id: user.id, email, role: user.role, created, emailed };
+}
+
+module.exports = { INVITE_EXPIRY_HOURS, ROLES, inviteStaff };
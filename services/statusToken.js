@@ -0,0 +1,36 @@
+// services/statusToken.js — signed, expiring tokens that identify one booking to its customer
+// Format: base64url(JSON { b: booking_id, o: org_id, e: expiry epoch seconds }) + '.' + base64url(HMAC-SHA256)
+
+require('dotenv').config();
+const crypto = require('crypto');
+const dayjs = require('dayjs');
+
+const SECRET = process.env.STATUS_LINK_SECRET || `${process.env.JWT_SECRET || 'dev-only'}:status`;
+// valid until the end of the booking day plus this many days
+const GRACE_DAYS = Number(process.env.STATUS_LINK_GRACE_DAYS || 1);
+
+const mac = (body) => crypto.createHmac('sha256', SECRET).update(body).digest('base64url');
+
+function signStatusToken({ booking_id, org_id, booking_date }) {
+  const e = dayjs(booking_date || undefined).endOf('day').add(GRACE_DAYS, 'day').unix();
+  const body = Buffer.from(JSON.stringify({ b: Number(booking_id), o: Number(org_id), e })).toString('base64url');
+  return `${body}.${mac(body)}`;
+}
+
+/** Returns { booking_id, org_id, expires_at } or null when malformed, forged or expired */
+function verifyStatusToken(token) {
+  const [body, sig] = String(token || '').split('.');
+  if (!body || !sig) return null;
+  const expected = Buffer.from(mac(body));
+  const given = Buffer.from(sig);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+  try {
+    const p = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (!p.b || !p.o || !p.e || p.e < dayjs().unix()) return null;
+    return { booking_id: p.b, org_id: p.o, expires_at: new Date(p.e * 1000) };
+  } catch {
+    return null;
+  }
+}
+
+module.exports = { signStatusToken, verifyStatusToken };
@@ -0,0 +1,51 @@
+// services/statusView.js — what a customer sees for their booking: org, live metrics, open state, wait.
+// Shared by GET /status/view and the STATUS reply command (services/inboundCommands).
+
+const dayjs = require('dayjs');
+const db = require('./db');
+const { isAssignedMode } = require('./metrics');
+const { openState } = require('./hours');
+const { estimateWait } = require('./eta');
+
+/**
+ * { org, metrics, closed, wait } for `booking` (may be null) in org_id; org is null when missing.
+ *   metrics: per-assignee or per-org depending on ASSIGNED_METRICS
+ *   closed:  null while open, else { until, reason }
+ *   wait:    see eta.estimateWait
+ */
+async function statusView({ org_id, booking = null }) {
+  const [orgRows] = await db.query(
+    `SELECT id, name, map_url, google_review_url, now_serving_token,
+            break_started_at, break_until, service_start_at, avg_service_seconds
+       FROM organizations
+      WHERE id=? LIMIT 1`, [org_id]
+  );
+  const org = orgRows[0] || null;
+  if (!org) return { org: null, metrics: null, closed: null, wait: null };
+
+  let metrics = null;
+  if (!isAssignedMode()) {
+    metrics = {
+      now_serving: org.now_serving_token || null,
+      avg_service_seconds: org.avg_service_seconds || null,
+      break_until: org.break_until || null,
+      updated_at: null
+    };
+  } else if (booking?.assigned_user_id) {
+    const [m] = await db.query(
+      `SELECT now_serving_token AS now_serving, avg_service_seconds, break_until, updated_at
+         FROM assigned_live_metrics
+        WHERE org_id=? AND assigned_user_id=? AND booking_date=?`,
+      [org_id, booking.assigned_user_id, dayjs(booking.booking_date || new Date()).format('YYYY-MM-DD')]
+    );
+    metrics = m[0] || { now_serving: null, avg_service_seconds: null, break_until: null, updated_at: null };
+  }
+
+  const state = await openState(org_id);
+  const closed = state.open ? null : { until: state.until, reason: state.reason };
+
+  const wait = booking ? await estimateWait({ booking, metrics: metrics || {} }) : null;
+  return { org, metrics, closed, wait };
+}
+
+module.exports = { statusView };
@@ -0,0 +1,207 @@
+// services/templates.js — customer message templates per org / event / language
+// Text uses {{placeholders}} (see VARIABLES). Lookup order for (org, event, language):
+//   org template in that language -> org template in DEFAULT_LANGUAGE -> built-in default.
+// A template may also name an approved WhatsApp template (wa_template_name + wa_params, the
+// variables filling {{1}}, {{2}}, ...) for providers that only deliver approved templates.
+
+const dayjs = require('dayjs');
+const db = require('./db');
+
+const DEFAULT_LANGUAGE = (process.env.DEFAULT_LANGUAGE || 'en').toLowerCase();
+
+const EVENTS = ['booking_created', 'turn_near', 'called', 'cancelled', 'review_request'];
+
+/** Placeholders each event may use */
+const COMMON = ['customer_name', 'token', 'org_name', 'status_link', 'booking_date', 'booking_time', 'assignee_name'];
+const VARIABLES = {
+  booking_created: [...COMMON],
+  turn_near: [...COMMON, 'people_ahead', 'eta_minutes'],
+  called: [...COMMON],
+  cancelled: [...COMMON, 'reason', 'cancelled_by'],
+  review_request: [...COMMON, 'review_link']
+};
+
+const DEFAULTS = {
+  en: {
+    booking_created: 'Hi {{customer_name}}! Your booking is confirmed for {{org_name}}. Token #{{token}}.\nLive queue status: {{status_link}}',
+    turn_near: 'Hi {{customer_name}}, your turn at {{org_name}} is near: {{people_ahead}} ahead of token #{{token}} (about {{eta_minutes}} min). {{status_link}}',
+    called: 'Token #{{token}}, please come to the counter now. {{org_name}}',
+    cancelled: 'Your booking (token #{{token}}) with {{org_name}} has been cancelled. {{reason}}',
+    review_request: 'Thanks for visiting {{org_name}}! How did we do? {{review_link}}'
+  }
+};
+
+// sample values for previews
+const SAMPLE = {
+  customer_name: 'Asha', token: 12, org_name: 'City Clinic', status_link: 'https://status.example.com/s/abc',
+  booking_date: dayjs().format('YYYY-MM-DD'), booking_time: '10:30', assignee_name: 'Dr. Rao',
+  people_ahead: 3, eta_minutes: 15, reason: 'Doctor unavailable', cancelled_by: 'staff',
+  review_link: 'https://g.page/r/example'
+};
+
+const PLACEHOLDER = /\{\{\s*([a-zA-Z0-9_]+)\s*\}\}/g;
+
+function templateError(statusCode, message, details) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  if (details) err.details = details;
+  return err;
+}
+
+const isLanguage = (s) => /^[a-z]{2,3}(-[a-z0-9]{2,8})?$/i.test(String(s || ''));
+
+/** Names used in `text` that `event` does not provide */
+function unknownPlaceholders(event, text) {
+  const allowed = new Set(VARIABLES[event] || []);
+  const names = [...String(text || '').matchAll(PLACEHOLDER)].map(m => m[1]);
+  return [...new Set(names.filter(n => !allowed.has(n)))];
+}
+
+/**
+ * Check a template before saving; throws 400 with details.
+ * input: { event, language, body, wa_template_name?, wa_params? }
+ */
+function validateTemplate({ event, language, body, wa_template_name = null, wa_params = null }) {
+  if (!EVENTS.includes(event)) throw templateError(400, 'unknown_event', { events: EVENTS });
+  if (!isLanguage(language)) throw templateError(400, 'invalid_language');
+  if (!String(body || '').trim()) throw templateError(400, 'body required');
+  if (String(body).length > 1000) throw templateError(400, 'body_too_long', { max: 1000 });
+  const unknown = unknownPlaceholders(event, body);
+  if (unknown.length) throw templateError(400, 'unknown_placeholders', { unknown, allowed: VARIABLES[event] });
+
+  if (wa_template_name && !/^[a-z0-9_]{1,512}$/.test(wa_template_name)) {
+    throw templateError(400, 'invalid_wa_template_name');
+  }
+  if (wa_params != null) {
+    if (!Array.isArray(wa_params)) throw templateError(400, 'wa_params must be an array');
+    const bad = wa_params.filter(p => !(VARIABLES[event] || []).includes(p));
+    if (bad.length) throw templateError(400, 'unknown_placeholders', { unknown: bad, allowed: VARIABLES[event] });
+  }
+}
+
+/** Replace {{name}} with vars[name]; missing values become '' and whitespace is tidied */
+function fill(text, vars) {
+  return String(text)
+    .replace(PLACEHOLDER, (_, name) => (vars[name] == null ? '' : String(vars[name])))
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/[ \t]{2,}/g, ' ')
+    .trim();
+}
+
+function parseParams(raw) {
+  if (Array.isArray(raw)) return raw;
+  try { return JSON.parse(raw || '[]') || []; } catch { return []; }
+}
+
+async function listTemplates(org_id) {
+  const [rows] = await db.query(
+    `SELECT id, event, language, body, wa_template_name, wa_language, wa_params, updated_by, updated_at
+       FROM message_templates WHERE org_id = ? ORDER BY event, language`,
+    [org_id]
+  );
+  return rows.map(r => ({ ...r, wa_params: parseParams(r.wa_params) }));
+}
+
+async function saveTemplate({ org_id, event, language, body, wa_template_name = null, wa_language = null, wa_params = null, updated_by = null }) {
+  language = String(language || '').toLowerCase();
+  validateTemplate({ event, language, body, wa_template_name, wa_params });
+  await db.query(
+    `INSERT INTO message_templates
+       (org_id, event, language, body, wa_template_name, wa_language, wa_params, updated_by, updated_at)
+     VALUES (?,?,?,?,?,?,?,?, NOW())
+     ON DUPLICATE KEY UPDATE body=VALUES(body), wa_template_name=VALUES(wa_template_name),
+       wa_language=VALUES(wa_language), wa_params=VALUES(wa_params),
+       updated_by=VALUES(updated_by), updated_at=NOW()`,
+    [org_id, event, language, String(body), wa_template_name || null, wa_language || null,
+      wa_params ? JSON.stringify(wa_params) : null, updated_by]
+  );
+}
+
+async function deleteTemplate({ org_id, event, language }) {
+  const [r] = await db.query(
+    `DELETE FROM message_templates WHERE org_id = ? AND event = ? AND language = ?`,
+    [org_id, event, String(language || '').toLowerCase()]
+  );
+  return r.affectedRows > 0;
+}
+
+/** The template that applies: { body, language, source, wa_template_name, wa_language, wa_params } */
+async function resolveTemplate({ org_id, event, language }) {
+  if (!EVENTS.includes(event)) throw templateError(400, 'unknown_event', { events: EVENTS });
+  const lang = isLanguage(language) ? String(language).toLowerCase() : DEFAULT_LANGUAGE;
+
+  if (org_id) {
+    const [rows] = await db.query(
+      `SELECT language, body, wa_template_name, wa_language, wa_params
+         FROM message_templates
+        WHERE org_id = ? AND event = ? AND language IN (?, ?)
+        ORDER BY language = ? DESC LIMIT 1`,
+      [org_id, event, lang, DEFAULT_LANGUAGE, lang]
+    );
+    if (rows[0]) return { ...rows[0], wa_params: parseParams(rows[0].wa_params), source: 'org' };
+  }
+  const defaults = DEFAULTS[lang] || DEFAULTS.en;
+  return {
+    language: DEFAULTS[lang] ? lang : 'en', body: defaults[event], source: 'default',
+    wa_template_name: null, wa_language: null, wa_params: []
+  };
+}
+
+/**
+ * Render a message. `body` renders an unsaved draft instead of the stored template.
+ * Returns { event, language, source, body, whatsapp: { name, language, params } | null }
+ */
+async function renderTemplate({ org_id, event, language, vars = {}, body = null }) {
+  if (!EVENTS.includes(event)) throw templateError(400, 'unknown_event', { events: EVENTS });
+  const t = body != null
+    ? { body, language: language || DEFAULT_LANGUAGE, source: 'draft', wa_template_name: null, wa_params: [] }
+    : await resolveTemplate({ org_id, event, language });
+  if (body != null) {
+    const unknown = unknownPlaceholders(event, body);
+    if (unknown.length) throw templateError(400, 'unknown_placeholders', { unknown, allowed: VARIABLES[event] });
+  }
+  return {
+    event,
+    language: t.language,
+    source: t.source,
+    body: fill(t.body, vars),
+    whatsapp: t.wa_template_name
+      ? {
+          name: t.wa_template_name,
+          language: t.wa_language || t.language,
+          params: (t.wa_params || []).map(p => (vars[p] == null ? '' : String(vars[p])))
+        }
+      : null
+  };
+}
+
+/** Template variables for a booking row (plus `extra`, e.g. people_ahead / reason) */
+async function varsForBooking(booking, extra = {}) {
+  // required here: messaging renders templates too
+  const { buildStatusLink } = require('./messaging');
+  const [orgRows] = await db.query(
+    `SELECT name, google_review_url FROM organizations WHERE id = ? LIMIT 1`, [booking.org_id]
+  );
+  let assignee_name = null;
+  if (booking.assigned_user_id) {
+    const [u] = await db.query(`SELECT name FROM org_users WHERE id = ? LIMIT 1`, [booking.assigned_user_id]);
+    assignee_name = u[0]?.name || null;
+  }
+  return {
+    customer_name: booking.user_name || '',
+    token: booking.token_number,
+    org_name: orgRows[0]?.name || 'our center',
+    status_link: buildStatusLink({ org_id: booking.org_id, booking_id: booking.id, booking_date: booking.booking_date }),
+    booking_date: booking.booking_date ? dayjs(booking.booking_date).format('YYYY-MM-DD') : '',
+    booking_time: booking.scheduled_at ? dayjs(booking.scheduled_at).format('HH:mm') : '',
+    assignee_name: assignee_name || '',
+    review_link: orgRows[0]?.google_review_url || '',
+    ...extra
+  };
+}
+
+module.exports = {
+  EVENTS, VARIABLES, SAMPLE, DEFAULT_LANGUAGE,
+  fill, validateTemplate, unknownPlaceholders, listTemplates, saveTemplate, deleteTemplate,
+  resolveTemplate, renderTemplate, varsForBooking
+};
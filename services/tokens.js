@@ -0,0 +1,98 @@
+// services/tokens.js — per org / day / assignee token counters (token_counters table)
+
+const db = require('./db');
+
+const num = (x, d = 0) => { const n = Number(x); return Number.isFinite(n) ? n : d; };
+
+/** token_counters keys the unassigned queue as 0 */
+const assigneeKey = (assigned_user_id) => num(assigned_user_id, 0) || 0;
+
+/**
+ * Allocate the next token inside the caller's transaction.
+ * The counter row is created on first use (seeded from existing bookings for that day)
+ * and locked with FOR UPDATE, so concurrent bookings serialize on it.
+ */
+async function allocateToken(conn, { org_id, booking_date, assigned_user_id = null }) {
+  const key = assigneeKey(assigned_user_id);
+  const scopeClause = key ? 'AND assigned_user_id = ?' : 'AND assigned_user_id IS NULL';
+  const scopeParams = key ? [key] : [];
+
+  await conn.query(
+    `INSERT IGNORE INTO token_counters (org_id, booking_date, assignee_key, last_token)
+     SELECT ?, ?, ?, COALESCE(MAX(token_number), 0)
+       FROM bookings
+      WHERE org_id = ? AND booking_date = ? ${scopeClause}`,
+    [org_id, booking_date, key, org_id, booking_date, ...scopeParams]
+  );
+  const [rows] = await conn.query(
+    `SELECT last_token FROM token_counters
+      WHERE org_id = ? AND booking_date = ? AND assignee_key = ?
+      FOR UPDATE`,
+    [org_id, booking_date, key]
+  );
+  const token = num(rows[0]?.last_token) + 1;
+  await conn.query(
+    `UPDATE token_counters SET last_token = ?
+      WHERE org_id = ? AND booking_date = ? AND assignee_key = ?`,
+    [token, org_id, booking_date, key]
+  );
+  return token;
+}
+
+/** Counter rows for one day, with the highest token actually booked in each queue */
+async function listCounters({ org_id, booking_date }) {
+  const [rows] = await db.query(
+    `SELECT c.assignee_key, c.last_token, c.reset_by, c.reset_at, c.updated_at,
+            (SELECT COALESCE(MAX(b.token_number), 0) FROM bookings b
+              WHERE b.org_id = c.org_id AND b.booking_date = c.booking_date
+                AND COALESCE(b.assigned_user_id, 0) = c.assignee_key) AS max_booked_token
+       FROM token_counters c
+      WHERE c.org_id = ? AND c.booking_date = ?
+      ORDER BY c.assignee_key ASC`,
+    [org_id, booking_date]
+  );
+  return rows.map(r => ({
+    assigned_user_id: r.assignee_key || null,
+    last_token: r.last_token,
+    next_token: r.last_token + 1,
+    max_booked_token: num(r.max_booked_token),
+    reset_by: r.reset_by,
+    reset_at: r.reset_at,
+    updated_at: r.updated_at
+  }));
+}
+
+/**
+ * Make `next_token` the next number handed out in one queue.
+ * Refuses to go at or below a token already booked that day, since bookings keep
+ * (org_id, booking_date, assignee, token_number) unique.
+ */
+async function resetCounter({ org_id, booking_date, assigned_user_id = null, next_token = 1, reset_by = null }) {
+  const key = assigneeKey(assigned_user_id);
+  const last = Math.max(0, num(next_token, 1) - 1);
+
+  return db.withTransaction(async (conn) => {
+    const [maxRows] = await conn.query(
+      `SELECT COALESCE(MAX(token_number), 0) AS max_token FROM bookings
+        WHERE org_id = ? AND booking_date = ? AND COALESCE(assigned_user_id, 0) = ?
+        FOR UPDATE`,
+      [org_id, booking_date, key]
+    );
+    const max_token = num(maxRows[0]?.max_token);
+    if (last < max_token) {
+      const err = new Error('token_in_use');
+      err.statusCode = 409;
+      err.max_token = max_token;
+      throw err;
+    }
+    await conn.query(
+      `INSERT INTO token_counters (org_id, booking_date, assignee_key, last_token, reset_by, reset_at)
+       VALUES (?,?,?,?,?,NOW())
+       ON DUPLICATE KEY UPDATE last_token=VALUES(last_token), reset_by=VALUES(reset_by), reset_at=NOW()`,
+      [org_id, booking_date, key, last, reset_by]
+    );
+    return { assigned_user_id: key || null, last_token: last, next_token: last + 1 };
+  });
+}
+
+module.exports = { allocateToken, listCounters, resetCounter };
@@ -0,0 +1,170 @@
+// services/usage.js — message metering for billing
+// Every WhatsApp / SMS message that actually goes out is recorded once in message_meter (ref is
+// unique) with its channel, SMS segments, unit cost and booking, and added to the org's
+// message_usage_daily row. Platform emails (services/email) are not metered.
+// Unit cost per segment, priced at send time:
+//   fee_settings 'message_cost_<channel>' -> fee_settings 'message_cost_per_message'
+//   -> app_charges.message_cost_per_booking (the older flat price) -> 0
+// rollup() recounts daily rows (including bookings_count) from the sources; billing
+// (services/billingScheduler, scripts/billing-cron.js, GET /billing/usage) reads the daily rows.
+
+const dayjs = require('dayjs');
+const db = require('./db');
+
+const num = (x, d = 0) => { const n = Number(x); return Number.isFinite(n) ? n : d; };
+
+const PRICE_TTL_MS = 5 * 60 * 1000;
+let prices = null; // { at, fees: Map, fallback }
+
+// GSM 03.38 basic set plus the extension table (those count double)
+const GSM7 = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+const GSM7_EXT = '^{}\\[~]|€';
+
+/** SMS parts for `body` (GSM-7: 160, or 153 per part; otherwise UCS-2: 70, or 67); 1 for other channels */
+function segmentsFor(channel, body) {
+  if (channel !== 'sms') return 1;
+  const chars = Array.from(String(body || ''));
+  if (!chars.length) return 1;
+  let gsm = true;
+  let septets = 0;
+  for (const c of chars) {
+    if (GSM7.includes(c)) septets += 1;
+    else if (GSM7_EXT.includes(c)) septets += 2;
+    else { gsm = false; break; }
+  }
+  if (gsm) return septets <= 160 ? 1 : Math.ceil(septets / 153);
+  // UCS-2 counts UTF-16 code units
+  const units = String(body).length;
+  return units <= 70 ? 1 : Math.ceil(units / 67);
+}
+
+async function loadPrices() {
+  if (prices && Date.now() - prices.at < PRICE_TTL_MS) return prices;
+  const fees = new Map();
+  let fallback = 0;
+  try {
+    const [rows] = await db.query(`SELECT key_name, value_decimal FROM fee_settings WHERE key_name LIKE 'message_cost%'`);
+    for (const r of rows) fees.set(r.key_name, num(r.value_decimal));
+  } catch { /* table missing */ }
+  try {
+    const [rows] = await db.query('SELECT message_cost_per_booking FROM app_charges ORDER BY id DESC LIMIT 1');
+    fallback = num(rows[0]?.message_cost_per_booking);
+  } catch { /* table missing */ }
+  prices = { at: Date.now(), fees, fallback };
+  return prices;
+}
+
+/** Price of one segment on `channel` */
+async function unitCost(channel) {
+  const p = await loadPrices();
+  if (p.fees.has(`message_cost_${channel}`)) return p.fees.get(`message_cost_${channel}`);
+  if (p.fees.has('message_cost_per_message')) return p.fees.get('message_cost_per_message');
+  return p.fallback;
+}
+
+/**
+ * Meter one sent message. `ref` identifies it (notification:<id>, <provider>:<msg id>);
+ * recording the same ref again does nothing. Resolves to true when counted; never throws, a sent
+ * message must not fail because metering did.
+ */
+async function recordMessage({ org_id, booking_id = null, ref, channel, provider = null, event = null, body = '' }) {
+  if (!org_id || !ref) return false;
+  try {
+    const segments = segmentsFor(channel, body);
+    const unit = await unitCost(channel);
+    const cost = Math.round(unit * segments * 10000) / 10000;
+    const [r] = await db.query(
+      `INSERT IGNORE INTO message_meter (org_id, booking_id, ref, channel, provider, event, segments, unit_cost, cost, sent_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+      [org_id, booking_id, String(ref).slice(0, 120), channel, provider, event, segments, unit, cost]
+    );
+    if (!r.affectedRows) return false;
+    await db.query(
+      `INSERT INTO message_usage_daily (org_id, date_for, messages_sent, segments, cost)
+       VALUES (?, CURDATE(), 1, ?, ?)
+       ON DUPLICATE KEY UPDATE messages_sent = messages_sent + 1,
+                               segments = segments + VALUES(segments),
+                               cost = cost + VALUES(cost)`,
+      [org_id, segments, cost]
+    );
+    return true;
+  } catch (err) {
+    console.warn(`[usage] could not meter ${ref} for org ${org_id}:`, err.message);
+    return false;
+  }
+}
+
+/** Recount message_usage_daily for [from, to] (YYYY-MM-DD), one org or all */
+async function rollup({ from, to, org_id = null }) {
+  const orgSql = org_id ? 'AND org_id = ?' : '';
+  const orgParams = org_id ? [org_id] : [];
+  await db.query(
+    `INSERT INTO message_usage_daily (org_id, date_for, bookings_count, messages_sent, segments, cost)
+     SELECT org_id, d, SUM(b), SUM(m), SUM(s), SUM(c)
+       FROM (
+         SELECT org_id, booking_date AS d, COUNT(*) AS b, 0 AS m, 0 AS s, 0 AS c
+           FROM bookings WHERE booking_date BETWEEN ? AND ? ${orgSql}
+          GROUP BY org_id, booking_date
+         UNION ALL
+         SELECT org_id, DATE(sent_at), 0, COUNT(*), SUM(segments), SUM(cost)
+           FROM message_meter WHERE sent_at >= ? AND sent_at < ? + INTERVAL 1 DAY ${orgSql}
+          GROUP BY org_id, DATE(sent_at)
+       ) x
+      GROUP BY org_id, d
+     ON DUPLICATE KEY UPDATE bookings_count = VALUES(bookings_count), messages_sent = VALUES(messages_sent),
+                             segments = VALUES(segments), cost = VALUES(cost)`,
+    [from, to, ...orgParams, from, to, ...orgParams]
+  );
+}
+
+/** Sums over [from, to] for one org: { bookings_sum, messages_sum, segments_sum, cost_sum } */
+async function totals(org_id, from, to) {
+  const [[r]] = await db.query(
+    `SELECT COALESCE(SUM(bookings_count), 0) AS bookings_sum, COALESCE(SUM(messages_sent), 0) AS messages_sum,
+            COALESCE(SUM(segments), 0) AS segments_sum, COALESCE(SUM(cost), 0) AS cost_sum
+       FROM message_usage_daily WHERE org_id = ? AND date_for BETWEEN ? AND ?`,
+    [org_id, from, to]
+  );
+  return {
+    bookings_sum: num(r?.bookings_sum),
+    messages_sum: num(r?.messages_sum),
+    segments_sum: num(r?.segments_sum),
+    cost_sum: Math.round(num(r?.cost_sum) * 100) / 100
+  };
+}
+
+/**
+ * Usage report for one org over [from, to] after a fresh rollup:
+ * { from, to, totals, by_channel: [{ channel, messages, segments, cost }], days: [{ date, bookings, messages, segments, cost }] }
+ */
+async function getUsage({ org_id, from, to }) {
+  await rollup({ from, to, org_id });
+  const [days] = await db.query(
+    `SELECT DATE_FORMAT(date_for, '%Y-%m-%d') AS date, bookings_count AS bookings, messages_sent AS messages, segments, cost
+       FROM message_usage_daily WHERE org_id = ? AND date_for BETWEEN ? AND ?
+      ORDER BY date_for ASC`,
+    [org_id, from, to]
+  );
+  const [channels] = await db.query(
+    `SELECT channel, COUNT(*) AS messages, SUM(segments) AS segments, SUM(cost) AS cost
+       FROM message_meter WHERE org_id = ? AND sent_at >= ? AND sent_at < ? + INTERVAL 1 DAY
+      GROUP BY channel ORDER BY channel`,
+    [org_id, from, to]
+  );
+  const money = (x) => Math.round(num(x) * 100) / 100;
+  return {
+    from,
+    to,
+    totals: await totals(org_id, from, to),
+    by_channel: channels.map(c => ({ channel: c.channel, messages: num(c.messages), segments: num(c.segments), cost: money(c.cost) })),
+    days: days.map(d => ({ ...d, cost: money(d.cost) }))
+  };
+}
+
+/** The 30 days up to yesterday, as billing periods are counted: { from, to } */
+function lastPeriod(days = 30) {
+  const to = dayjs().subtract(1, 'day');
+  return { from: to.subtract(days - 1, 'day').format('YYYY-MM-DD'), to: to.format('YYYY-MM-DD') };
+}
+
+module.exports = { segmentsFor, unitCost, recordMessage, rollup, totals, getUsage, lastPeriod };
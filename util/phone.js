@@ -0,0 +1,23 @@
+// util/phone.js
+function digitsOnly(phone) {
+  return String(phone || '').replace(/\D/g, '');
+}
+/** Same subscriber number, tolerating country-code / trunk prefixes (last 10 digits) */
+function samePhone(a, b) {
+  const x = digitsOnly(a);
+  const y = digitsOnly(b);
+  if (x.length < 8 || y.length < 8) return false;
+  return x.slice(-10) === y.slice(-10);
+}
+/**
+ * International number as digits without '+' (what provider APIs expect).
+ * National 10-digit numbers get DEFAULT_COUNTRY_CODE (91); a leading trunk 0 is dropped.
+ */
+function toE164Digits(phone) {
+  let d = digitsOnly(phone);
+  if (d.startsWith('00')) d = d.slice(2);
+  else if (d.length === 11 && d.startsWith('0')) d = d.slice(1);
+  if (d.length === 10) d = `${process.env.DEFAULT_COUNTRY_CODE || '91'}${d}`;
+  return d;
+}
+module.exports = { digitsOnly, samePhone, toE164Digits };